@@ -0,0 +1,322 @@
+import { parseArgs } from 'util';
+import chalk from 'chalk';
+import { initProject, trackFiles, createSnapshot } from './commands/snapshot.js';
+import { revertToSnapshot } from './commands/revert.js';
+import diffSnapshots, { diffWorkingTree } from './commands/diff.js';
+import { showHistory, showFileHistory } from './commands/history.js';
+import { recompressSnapshots, showSchemaVersion } from './commands/maintenance.js';
+import { showStatus } from './commands/status.js';
+import { tagSnapshot, deleteTag, showTags } from './commands/tag.js';
+import { branchFromSnapshot, switchBranch, deleteBranch, showBranches } from './commands/branch.js';
+import { mergeSnapshots } from './commands/merge.js';
+import { stashChanges, showStashes, applyStash, dropStash } from './commands/stash.js';
+import { parseFileSpec, showFile } from './commands/show.js';
+import { applyPatchFile } from './commands/patch.js';
+import { codecs, DEFAULT_CODEC } from '../database/blobs.js';
+import { DEFAULT_CONTEXT } from '../utils/patch.js';
+
+// Exit codes returned to the shell
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+// Raised when a command is called with missing or malformed arguments
+class UsageError extends Error {}
+
+// Parse a positional snapshot reference: a snapshot id, tag or branch
+const parseSnapshotRef = (value, label = 'snapshot') => {
+    if (value === undefined || value === '') throw new UsageError(`Missing ${label}.`);
+    return value;
+};
+
+// Scriptable subcommands. Each entry lists its `util.parseArgs` options and how to run it.
+const commands = {
+    init: {
+        usage: 'svc init',
+        description: 'Initialize a project in the current directory',
+        run: () => initProject(),
+    },
+    track: {
+        usage: 'svc track',
+        description: 'Record the current hash of every non-ignored file',
+        run: () => trackFiles(),
+    },
+    snapshot: {
+        usage: 'svc snapshot -m <message>',
+        description: 'Create a snapshot of the tracked files',
+        options: { message: { type: 'string', short: 'm' } },
+        run: ({ values }) => {
+            if (values.message === undefined) throw new UsageError('Missing snapshot message (-m).');
+            return createSnapshot({ description: values.message });
+        },
+    },
+    revert: {
+        usage: 'svc revert <snapshot> [--dry-run] [--no-backup] [--exact [--untracked] [-y]]',
+        description: 'Restore every file from a snapshot (id, tag or branch); --dry-run only lists the changes, --exact also removes files not in it',
+        options: {
+            'dry-run': { type: 'boolean' },
+            'no-backup': { type: 'boolean' },
+            exact: { type: 'boolean' },
+            untracked: { type: 'boolean' },
+            yes: { type: 'boolean', short: 'y' },
+        },
+        run: ({ positionals, values }) => {
+            if (!values.exact && (values.untracked || values.yes)) throw new UsageError('Options --untracked and -y require --exact.');
+            // The removals of an exact revert are confirmed on the terminal; without one, -y stands in
+            if (values.exact && !values.yes && !values['dry-run'] && !process.stdin.isTTY) {
+                throw new UsageError('Input is not a terminal, so --exact cannot ask before removing files. Pass -y to confirm.');
+            }
+            return revertToSnapshot({
+                snapshotId: parseSnapshotRef(positionals[0]),
+                dryRun: values['dry-run'],
+                backup: !values['no-backup'],
+                exact: values.exact,
+                includeUntracked: Boolean(values.untracked),
+                yes: values.yes,
+            });
+        },
+    },
+    diff: {
+        usage: 'svc diff [<a> [<b>]] [--type <ext>] [--dir <path>] [-w] [--semantic] [-U <n>] [-M <percent> | --no-renames] [--stat | --patch [-o <file>] | --html <file>]',
+        description: 'Compare two snapshots (ids, tags or branches), or the working tree with <a> or the head snapshot; --semantic compares JSON/YAML by key path, --stat prints only the summary, --patch emits a unified diff, --html writes a report of two snapshots',
+        options: {
+            type: { type: 'string' },
+            dir: { type: 'string' },
+            'ignore-whitespace': { type: 'boolean', short: 'w' },
+            semantic: { type: 'boolean' },
+            context: { type: 'string', short: 'U' },
+            patch: { type: 'boolean', short: 'p' },
+            output: { type: 'string', short: 'o' },
+            stat: { type: 'boolean' },
+            html: { type: 'string' },
+            'find-renames': { type: 'string', short: 'M' },
+            'no-renames': { type: 'boolean' },
+        },
+        run: ({ positionals, values }) => {
+            const [a, b] = positionals;
+            const context = values.context === undefined ? DEFAULT_CONTEXT : Number(values.context);
+            if (!Number.isInteger(context) || context < 0) throw new UsageError(`Invalid context size "${values.context}".`);
+            const threshold = values['find-renames'] === undefined ? undefined : Number(values['find-renames']);
+            if (threshold !== undefined && !(threshold > 0 && threshold <= 100)) {
+                throw new UsageError(`Invalid rename similarity "${values['find-renames']}"; use a percentage from 1 to 100.`);
+            }
+
+            // Writing to a file only makes sense for a patch, so -o implies --patch
+            const unified = values.patch || values.output !== undefined;
+            if (unified && values.stat) throw new UsageError('Options --stat and --patch cannot be combined.');
+            if (values.html !== undefined) {
+                if (unified || values.stat) throw new UsageError('Option --html cannot be combined with --stat or --patch.');
+                if (b === undefined) throw new UsageError('Option --html needs two snapshots to compare.');
+            }
+            if (values.semantic && (unified || values.stat || values.html !== undefined)) {
+                throw new UsageError('Option --semantic only applies to the side-by-side view.');
+            }
+            const display = {
+                fileType: values.type,
+                directory: values.dir,
+                ignoreWhitespace: values['ignore-whitespace'],
+                semantic: values.semantic,
+                context,
+                renames: values['no-renames'] ? false : threshold && threshold / 100,
+                ...(unified && { format: 'unified', output: values.output }),
+                ...(values.stat && { format: 'stat' }),
+                ...(values.html !== undefined && { format: 'html', output: values.html }),
+            };
+            if (b !== undefined) {
+                return diffSnapshots({
+                    snapshotIds: [parseSnapshotRef(a, 'first snapshot'), parseSnapshotRef(b, 'second snapshot')],
+                    ...display,
+                });
+            }
+            if (a !== undefined) return diffWorkingTree({ snapshotId: parseSnapshotRef(a), scripted: true, ...display });
+            return diffWorkingTree({ latest: true, scripted: true, ...display });
+        },
+    },
+    apply: {
+        usage: 'svc apply <patch> [--check]',
+        description: 'Apply a unified diff to the working tree, reporting hunks that fail (--check only reports)',
+        options: { check: { type: 'boolean' } },
+        run: ({ positionals, values }) => {
+            if (positionals[0] === undefined) throw new UsageError('Missing patch file.');
+            return applyPatchFile({ patchFile: positionals[0], check: values.check });
+        },
+    },
+    status: {
+        usage: 'svc status [--porcelain]',
+        description: 'List added, modified, deleted and ignored paths',
+        options: { porcelain: { type: 'boolean' } },
+        run: ({ values }) => showStatus({ porcelain: values.porcelain }),
+    },
+    tag: {
+        usage: 'svc tag [-f | -d] [<name> [<snapshot>]]',
+        description: 'List tags, tag a snapshot (latest by default), move (-f) or delete (-d) a tag',
+        options: {
+            force: { type: 'boolean', short: 'f' },
+            delete: { type: 'boolean', short: 'd' },
+        },
+        run: ({ positionals, values }) => {
+            const [name, snapshot] = positionals;
+            if (values.force && values.delete) throw new UsageError('Options -f and -d cannot be combined.');
+            if (name === undefined) {
+                if (values.force || values.delete) throw new UsageError('Missing tag name.');
+                return showTags();
+            }
+            if (values.delete) return deleteTag({ name });
+            if (values.force && snapshot === undefined) throw new UsageError('Moving a tag requires a snapshot.');
+            return tagSnapshot({ name, snapshot, move: values.force });
+        },
+    },
+    branch: {
+        usage: 'svc branch [-d] [<name> [<snapshot>]]',
+        description: 'List branches, create one (at the head by default) or delete one (-d)',
+        options: { delete: { type: 'boolean', short: 'd' } },
+        run: ({ positionals, values }) => {
+            const [name, snapshot] = positionals;
+            if (name === undefined) {
+                if (values.delete) throw new UsageError('Missing branch name.');
+                return showBranches();
+            }
+            if (values.delete) return deleteBranch({ name });
+            return branchFromSnapshot({ name, snapshot });
+        },
+    },
+    switch: {
+        usage: 'svc switch [-c] [--force] <branch>',
+        description: 'Switch branches (-c creates the branch at the head)',
+        options: {
+            create: { type: 'boolean', short: 'c' },
+            force: { type: 'boolean' },
+        },
+        run: ({ positionals, values }) => {
+            if (positionals[0] === undefined) throw new UsageError('Missing branch name.');
+            return switchBranch({ name: positionals[0], create: values.create, force: values.force });
+        },
+    },
+    merge: {
+        usage: 'svc merge <snapshot> [--base <snapshot>] [-i] [--force]',
+        description: 'Three-way merge a snapshot into the working tree (-i resolves conflicts interactively)',
+        options: {
+            base: { type: 'string' },
+            interactive: { type: 'boolean', short: 'i' },
+            force: { type: 'boolean' },
+        },
+        run: ({ positionals, values }) =>
+            mergeSnapshots({
+                snapshot: parseSnapshotRef(positionals[0]),
+                base: values.base,
+                interactive: values.interactive,
+                force: values.force,
+            }),
+    },
+    stash: {
+        usage: 'svc stash [push|list|apply|pop|drop] [<id>]',
+        description: 'Park uncommitted changes (push -m <message>, --no-untracked); apply, pop or drop the latest or <id>',
+        options: {
+            message: { type: 'string', short: 'm' },
+            'no-untracked': { type: 'boolean' },
+            force: { type: 'boolean' },
+        },
+        run: ({ positionals, values }) => {
+            const [action = 'push', stashId] = positionals;
+            if (stashId !== undefined && !/^\d+$/.test(stashId)) throw new UsageError(`Invalid stash id "${stashId}".`);
+
+            switch (action) {
+                case 'push':
+                    return stashChanges({ message: values.message ?? '', includeUntracked: !values['no-untracked'] });
+                case 'list':
+                    return showStashes();
+                case 'apply':
+                case 'pop':
+                    return applyStash({ stashId, latest: stashId === undefined, pop: action === 'pop', force: values.force });
+                case 'drop':
+                    return dropStash({ stashId, latest: stashId === undefined });
+                default:
+                    throw new UsageError(`Unknown stash action "${action}".`);
+            }
+        },
+    },
+    show: {
+        usage: 'svc show <snapshot>:<path> [-o <file>] [--force]',
+        description: 'Print a file as it was in a snapshot, or write it to another path (-o)',
+        options: {
+            output: { type: 'string', short: 'o' },
+            force: { type: 'boolean' },
+        },
+        run: ({ positionals, values }) => {
+            const spec = parseFileSpec(parseSnapshotRef(positionals[0], 'snapshot:path'));
+            if (!spec) throw new UsageError(`Expected <snapshot>:<path>, got "${positionals[0]}".`);
+            return showFile({ ...spec, output: values.output, force: values.force });
+        },
+    },
+    log: {
+        usage: 'svc log [<path> [--from <snapshot>]]',
+        description: 'Show the snapshot history as a lineage graph, or the snapshots that changed <path> across renames with the size of each change',
+        options: { from: { type: 'string' } },
+        run: ({ positionals, values }) => {
+            if (positionals[0] === undefined) {
+                if (values.from !== undefined) throw new UsageError('Option --from requires a path.');
+                return showHistory();
+            }
+            return showFileHistory({ filePath: positionals[0], snapshot: values.from });
+        },
+    },
+    recompress: {
+        usage: 'svc recompress [--codec <gzip|brotli|none>]',
+        description: 'Recompress stored snapshot contents in place',
+        options: { codec: { type: 'string', default: DEFAULT_CODEC } },
+        run: ({ values }) => {
+            if (!Object.hasOwn(codecs, values.codec)) {
+                throw new UsageError(`Unknown codec "${values.codec}"; use one of ${Object.keys(codecs).join(', ')}.`);
+            }
+            return recompressSnapshots({ codec: values.codec });
+        },
+    },
+    schema: {
+        usage: 'svc schema',
+        description: 'Show the database schema version and applied migrations',
+        run: () => showSchemaVersion(),
+    },
+};
+
+// Print the list of available subcommands
+const printUsage = () => {
+    console.log(chalk.bold('Usage: svc [command] [options]\n'));
+    console.log('Run without a command to open the interactive menu.\n');
+    console.log(chalk.bold('Commands:'));
+    Object.values(commands).forEach(({ usage, description }) => {
+        console.log(`  ${usage.padEnd(48)} ${chalk.dim(description)}`);
+    });
+};
+
+// Run a subcommand from argv and resolve with the process exit code
+const runCommand = async (argv) => {
+    const [name, ...args] = argv;
+
+    if (['help', '--help', '-h'].includes(name)) {
+        printUsage();
+        return 0;
+    }
+
+    const command = commands[name];
+    if (!command) {
+        console.error(chalk.red(`Unknown command "${name}".\n`));
+        printUsage();
+        return EXIT_USAGE;
+    }
+
+    try {
+        const parsed = parseArgs({ args, options: command.options || {}, allowPositionals: true });
+        await command.run(parsed);
+    } catch (error) {
+        if (error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS')) {
+            console.error(chalk.red(error.message));
+            console.error(`Usage: ${command.usage}`);
+            return EXIT_USAGE;
+        }
+        console.error(chalk.red(`Error: ${error.message}`));
+        return EXIT_FAILURE;
+    }
+
+    return process.exitCode ? EXIT_FAILURE : 0;
+};
+
+export { runCommand, printUsage };
@@ -0,0 +1,240 @@
+import path from 'path';
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+import { close, transaction } from '../../database/query.js';
+import { loadSnapshotFiles } from '../../database/blobs.js';
+import { loadSnapshots, resolveSnapshotRef } from '../../database/snapshots.js';
+import {
+    BranchError,
+    listBranches,
+    findBranch,
+    createBranch,
+    removeBranch,
+    getHead,
+    setHead,
+} from '../../database/branches.js';
+import { calculateContentHash, calculateFileHash } from '../../utils/hash.js';
+import { sameContent } from '../../utils/renames.js';
+import { openRepository } from '../../utils/repository.js';
+import { applySnapshotFile, reportApplied } from './revert.js';
+import { computeStatus, uncommittedChanges } from './status.js';
+import { formatSnapshotChoice } from './tag.js';
+
+// Whether a path's entry in the target snapshot leaves a different file on disk than its entry in
+// the current one: present in only one of them, or with other content, mode or symlink target.
+// A mode that was not recorded is never written, so it counts as no change.
+const entryChanged = (before, after) => {
+    const [existed, exists] = [before && !before.deleted, after && !after.deleted];
+    if (!existed || !exists) return Boolean(existed) !== Boolean(exists);
+    return (
+        !sameContent(before, after) ||
+        (after.mode != null && after.mode !== before.mode) ||
+        (before.symlink_target ?? null) !== (after.symlink_target ?? null)
+    );
+};
+
+// Prompt for an existing branch, leaving out `exclude`
+const promptForBranch = async (branches, message, exclude) => {
+    const choices = branches
+        .filter((branch) => branch.name !== exclude)
+        .map((branch) => ({
+            name: branch.head_snapshot_id ? `${branch.name} → ${branch.head_snapshot_id}: ${branch.description}` : branch.name,
+            value: branch.name,
+        }));
+    if (choices.length === 0) return undefined;
+
+    const { name } = await inquirer.prompt([{ type: 'list', name: 'name', message, choices }]);
+    return name;
+};
+
+// Create a branch. Pass `name` and optionally `snapshot` (an id, tag or branch) to skip the
+// prompts; without `snapshot` the branch starts at the current head.
+const branchFromSnapshot = async (options = {}) => {
+    let db;
+    try {
+        let project;
+        ({ db, project } = await openRepository());
+        const head = await getHead(db, project.id);
+
+        let { name, snapshot } = options;
+        let snapshotId = head.snapshotId;
+        if (name === undefined) {
+            ({ name } = await inquirer.prompt([{ type: 'input', name: 'name', message: 'Enter branch name:' }]));
+            const snapshots = await loadSnapshots(db, project.id);
+            if (snapshots.length > 0) {
+                ({ snapshotId } = await inquirer.prompt([
+                    {
+                        type: 'list',
+                        name: 'snapshotId',
+                        message: `Select the snapshot "${name}" should start from:`,
+                        choices: [...snapshots].reverse().map((snap) => ({ name: formatSnapshotChoice(snap), value: snap.id })),
+                        default: head.snapshotId,
+                    },
+                ]));
+            }
+        } else if (snapshot !== undefined) {
+            snapshotId = await resolveSnapshotRef(db, project.id, snapshot);
+        }
+
+        await createBranch(db, project.id, name, snapshotId);
+        console.log(chalk.green(`Created branch "${name}"${snapshotId ? ` at snapshot ${snapshotId}` : ''}.`));
+    } catch (err) {
+        console.error(chalk.red(`Error creating branch: ${err.message}`));
+        process.exitCode = 1;
+    } finally {
+        if (db) await close(db);
+    }
+};
+
+// Switch to another branch and bring the working tree to its head snapshot. With `create`,
+// a new branch is started at the current head instead and no files change. Uncommitted
+// changes block the switch unless `force` is set.
+const switchBranch = async (options = {}) => {
+    let db;
+    try {
+        let root, project;
+        ({ root, db, project } = await openRepository());
+        const head = await getHead(db, project.id);
+
+        let { name } = options;
+        if (name === undefined) {
+            name = await promptForBranch(await listBranches(db, project.id), 'Select a branch to switch to:', head.branch);
+            if (name === undefined) {
+                console.log(chalk.yellow('There is no other branch to switch to.'));
+                return;
+            }
+        }
+
+        if (options.create) {
+            await transaction(db, async () => {
+                await createBranch(db, project.id, name, head.snapshotId);
+                await setHead(db, project.id, head.snapshotId, name);
+            });
+            console.log(chalk.green(`Switched to a new branch "${name}".`));
+            return;
+        }
+
+        const branch = await findBranch(db, project.id, name);
+        if (!branch) throw new BranchError(`Branch "${name}" does not exist.`);
+        if (branch.name === head.branch) {
+            console.log(chalk.yellow(`Already on branch "${name}".`));
+            return;
+        }
+
+        const moves = branch.head_snapshot_id && branch.head_snapshot_id !== head.snapshotId;
+        const target = moves ? await loadSnapshotFiles(db, branch.head_snapshot_id) : [];
+
+        const status = await computeStatus(db, project.id, root);
+        if (!options.force) {
+            // Untracked files are safe unless the branch writes a different file at the same path
+            const written = new Map(target.filter((file) => !file.deleted).map((file) => [file.path, file]));
+            const clobbered = status.added.filter((file) => {
+                const incoming = written.get(file.path);
+                if (!file.untracked || !incoming) return false;
+                const incomingHash = incoming.blob_hash || calculateContentHash(incoming.content || '');
+                return calculateFileHash(path.join(root, file.path)) !== incomingHash;
+            });
+
+            const changed = [...uncommittedChanges(status), ...clobbered];
+            if (changed.length > 0) {
+                console.error(chalk.red('Your uncommitted changes would be overwritten by switching branches:'));
+                changed.forEach((file) => console.error(chalk.red(`  ${file.path}${file.untracked ? ' (untracked)' : ''}`)));
+                console.error(chalk.yellow('Create a snapshot first, or switch with --force to discard them.'));
+                process.exitCode = 1;
+                return;
+            }
+        }
+
+        if (moves) {
+            const current = head.snapshotId ? await loadSnapshotFiles(db, head.snapshotId) : [];
+            const currentByPath = new Map(current.map((file) => [file.path, file]));
+
+            // Only paths the two snapshots record differently are written. With --force, local
+            // changes are discarded as well, so their paths are written even where both agree.
+            const discarded = new Set(options.force ? uncommittedChanges(status).map((file) => file.path) : []);
+            const changed = target.filter(
+                (file) => discarded.has(file.path) || entryChanged(currentByPath.get(file.path), file)
+            );
+
+            // Files the current snapshot holds but the target never recorded do not belong on the branch
+            const targetPaths = new Set(target.map((file) => file.path));
+            const leaving = current
+                .filter((file) => !file.deleted && !targetPaths.has(file.path))
+                .map((file) => ({ path: file.path, deleted: true }));
+
+            [...changed, ...leaving].forEach((file) => {
+                const result = applySnapshotFile(root, file);
+                reportApplied(file, result);
+                if (!result.success) process.exitCode = 1;
+            });
+        }
+
+        await setHead(db, project.id, branch.head_snapshot_id, name);
+        console.log(chalk.green(`Switched to branch "${name}".`));
+    } catch (err) {
+        console.error(chalk.red(`Error switching branch: ${err.message}`));
+        process.exitCode = 1;
+    } finally {
+        if (db) await close(db);
+    }
+};
+
+// Delete a branch. Its snapshots are kept. Pass `name` to skip the prompt.
+const deleteBranch = async (options = {}) => {
+    let db;
+    try {
+        let project;
+        ({ db, project } = await openRepository());
+
+        let { name } = options;
+        if (name === undefined) {
+            const head = await getHead(db, project.id);
+            name = await promptForBranch(await listBranches(db, project.id), 'Select a branch to delete:', head.branch);
+            if (name === undefined) {
+                console.log(chalk.yellow('There is no branch that can be deleted.'));
+                return;
+            }
+        }
+
+        const snapshotId = await removeBranch(db, project.id, name);
+        console.log(chalk.green(`Deleted branch "${name}"${snapshotId ? ` (was snapshot ${snapshotId})` : ''}.`));
+    } catch (err) {
+        console.error(chalk.red(`Error deleting branch: ${err.message}`));
+        process.exitCode = 1;
+    } finally {
+        if (db) await close(db);
+    }
+};
+
+// List every branch, marking the current one
+const showBranches = async () => {
+    let db;
+    try {
+        let project;
+        ({ db, project } = await openRepository());
+
+        const branches = await listBranches(db, project.id);
+        const head = await getHead(db, project.id);
+        if (branches.length === 0) {
+            console.log(chalk.yellow('No branches found.'));
+            return;
+        }
+
+        const width = Math.max(...branches.map((branch) => branch.name.length));
+        branches.forEach((branch) => {
+            const current = branch.name === head.branch;
+            const name = branch.name.padEnd(width);
+            const target = branch.head_snapshot_id
+                ? `${chalk.cyan(branch.head_snapshot_id)}: ${branch.description}`
+                : chalk.dim('(no snapshots)');
+            console.log(`${current ? chalk.green(`* ${name}`) : `  ${name}`}  ${target}`);
+        });
+    } catch (err) {
+        console.error(chalk.red(err.message));
+        process.exitCode = 1;
+    } finally {
+        if (db) await close(db);
+    }
+};
+
+export { branchFromSnapshot, switchBranch, deleteBranch, showBranches };
@@ -1,50 +1,15 @@
 import crypto from 'crypto';
-import sqlite3 from 'sqlite3';
-import chalk from 'chalk';
-import { getDatabasePath } from './snapshot.js';
+import { getDatabasePath } from '../../utils/repository.js';
+import { openDatabase } from '../../database/init.js';
 
 // Generate a random secret key
 const generateSecretKey = () => {
     return crypto.randomBytes(16).toString('hex');
 };
 
-// Ensure the `secret_key` column exists in the `projects` table
-const ensureSecretKeyColumn = async () => {
-    const dbPath = getDatabasePath();
-    const db = new sqlite3.Database(dbPath);
-
-    return new Promise((resolve, reject) => {
-        db.all(`PRAGMA table_info(projects)`, (err, columns) => {
-            if (err) {
-                db.close();
-                return reject(err);
-            }
-
-            const columnExists = columns.some((column) => column.name === 'secret_key');
-            if (!columnExists) {
-                db.run(`ALTER TABLE projects ADD COLUMN secret_key TEXT`, (alterErr) => {
-                    if (alterErr) {
-                        db.close();
-                        return reject(alterErr);
-                    }
-                    console.log(chalk.green('Added "secret_key" column to "projects" table.'));
-                    db.close();
-                    resolve(true);
-                });
-            } else {
-                db.close();
-                resolve(false);
-            }
-        });
-    });
-};
-
 // Retrieve or generate a secret key for the current project
 const getSecretKey = async (projectId) => {
-    await ensureSecretKeyColumn();
-
-    const dbPath = getDatabasePath();
-    const db = new sqlite3.Database(dbPath);
+    const db = await openDatabase(getDatabasePath());
 
     return new Promise((resolve, reject) => {
         db.get(`SELECT secret_key FROM projects WHERE id = ?`, [projectId], (err, row) => {
@@ -74,10 +39,7 @@ const getSecretKey = async (projectId) => {
 
 // Regenerate a new secret key for the current project
 const regenerateSecretKey = async (projectId) => {
-    await ensureSecretKeyColumn();
-
-    const dbPath = getDatabasePath();
-    const db = new sqlite3.Database(dbPath);
+    const db = await openDatabase(getDatabasePath());
     const newKey = generateSecretKey();
 
     return new Promise((resolve, reject) => {
@@ -1,18 +1,26 @@
-import path from 'path';
-import sqlite3 from 'sqlite3';
-import fs from 'fs';
 import chalk from 'chalk';
 import inquirer from 'inquirer';
-import { diffLines } from 'diff';
-import Table from 'cli-table3';
 import readline from 'readline';
 import ora from 'ora';
-
-// Get the project name
-const getProjectName = () => path.basename(process.cwd());
-
-// Get the database path
-const getDatabasePath = () => path.join(process.cwd(), `${getProjectName()}.db`);
+import fs from 'fs';
+import path from 'path';
+import { close } from '../../database/query.js';
+import { loadSnapshotFiles } from '../../database/blobs.js';
+import { loadSnapshots, resolveSnapshotRef } from '../../database/snapshots.js';
+import { getHead } from '../../database/branches.js';
+import { formatSize, isBinaryBuffer } from '../../utils/binary.js';
+import { calculateContentHash } from '../../utils/hash.js';
+import { DEFAULT_CONTEXT, formatFilePatch } from '../../utils/patch.js';
+import { renderSideBySide } from '../../utils/sidebyside.js';
+import { DEFAULT_RENAME_THRESHOLD, detectRenames, sameContent } from '../../utils/renames.js';
+import { renderDiffStat, summarizeDiff } from '../../utils/diffstat.js';
+import { renderHtmlReport } from '../../utils/htmlreport.js';
+import { diffStructured, formatKeyPath, formatValue, isStructuredPath } from '../../utils/structured.js';
+import { loadIgnoreRules } from '../../utils/ignore.js';
+import { readFileEntry } from '../../utils/metadata.js';
+import { walkProject } from '../../utils/walk.js';
+import { openRepository } from '../../utils/repository.js';
+import { formatSnapshotChoice, promptForSnapshot } from './tag.js';
 
 // Block and unblock input to prevent interference
 const blockInput = () => {
@@ -37,149 +45,466 @@ const filterFiles = (files, filter) => {
     });
 };
 
-// Display side-by-side diff using cli-table3
-const displaySideBySideDiff = (filePath, content1, content2) => {
-    const diffs = diffLines(content1, content2);
+// Turn a directory given on the command line, relative to the cwd, into the project-relative
+// prefix the filter matches, so `--dir` works the same from any subdirectory
+const resolveDirectory = (root, directory) => {
+    if (!directory) return '';
+    const relative = path.relative(root, path.resolve(directory));
+    return relative ? `${relative}${path.sep}` : '';
+};
 
-    const table = new Table({
-        head: [chalk.blue('Old Version'), chalk.green('New Version')],
-        colWidths: [50, 50],
-    });
+// Label of a compared path: whole-file additions and removals, or the rename it went through
+const describeChange = ({ before, after, oldPath, similarity }) => {
+    if (oldPath) return `renamed, ${Math.round(similarity * 100)}% similar`;
+    return !before ? 'added' : !after ? 'removed' : null;
+};
 
-    diffs.forEach((part) => {
-        const left = part.removed ? chalk.red(part.value.trim()) : part.added ? '' : chalk.gray(part.value.trim());
-        const right = part.added ? chalk.green(part.value.trim()) : part.removed ? '' : chalk.gray(part.value.trim());
-        table.push([left, right]);
+// Print the file header, noting whole-file additions, removals and renames
+const printFileHeader = (filePath, label, oldPath) => {
+    const colors = { added: chalk.green, removed: chalk.red };
+    const suffix = label ? (colors[label] || chalk.cyan)(` (${label})`) : '';
+    const name = oldPath ? `${oldPath} → ${filePath}` : filePath;
+    console.log(chalk.yellow(`\nFile: ${name}`) + suffix);
+};
+
+// Display a side-by-side diff sized to the terminal, with line numbers and intra-line highlights.
+// `display` carries the `context` kept around changes and `ignoreWhitespace`.
+const displaySideBySideDiff = (filePath, content1, content2, label, display = {}, oldPath) => {
+    printFileHeader(filePath, label, oldPath);
+    const lines = renderSideBySide(content1, content2, display);
+    if (lines.length > 0) console.log(lines.join('\n'));
+    else console.log(chalk.gray(content1 === content2 ? '  Content identical' : '  Only whitespace changed'));
+};
+
+// Display the changes of a JSON or YAML file by key path, ignoring formatting and key order.
+// Falls back to the side-by-side view when either version does not parse.
+const displayStructuredDiff = (filePath, content1, content2, label, display, oldPath) => {
+    const changes = diffStructured(filePath, content1, content2);
+    if (changes === null) {
+        displaySideBySideDiff(filePath, content1, content2, label, display, oldPath);
+        console.log(chalk.gray('  (Not parseable as structured data; showing the line diff)'));
+        return;
+    }
+
+    printFileHeader(filePath, label, oldPath);
+    if (changes.length === 0) {
+        console.log(chalk.gray(content1 === content2 ? '  Content identical' : '  Only formatting or key order changed'));
+        return;
+    }
+    changes.forEach((change) => {
+        const keyPath = formatKeyPath(change.path);
+        if (change.type === 'added') console.log(chalk.green(`+ ${keyPath}: ${formatValue(change.after)}`));
+        else if (change.type === 'removed') console.log(chalk.red(`- ${keyPath}: ${formatValue(change.before)}`));
+        else console.log(chalk.yellow(`~ ${keyPath}: ${formatValue(change.before)} → ${formatValue(change.after)}`));
     });
+};
+
+// Report binary changes by size and hash instead of diffing their bytes.
+// Rows stored before the blob store carry no hash, so theirs is computed from the content.
+const displayBinaryDiff = (filePath, before, after, label, oldPath) => {
+    const describe = (file) => {
+        if (!file) return 'absent';
+        const hash = file.blob_hash || calculateContentHash(file.content || '');
+        return `${formatSize(Buffer.byteLength(file.content || ''))}, sha256 ${hash.slice(0, 12)}`;
+    };
 
-    console.log(chalk.yellow(`\nFile: ${filePath}`));
-    console.log(table.toString());
+    printFileHeader(filePath, label, oldPath);
+    if (before && after && sameContent(before, after)) {
+        console.log(chalk.gray(`  Binary files identical (${describe(after)})`));
+    } else {
+        console.log(chalk.magenta('  Binary files differ'));
+        console.log(chalk.red(`    old: ${describe(before)}`));
+        console.log(chalk.green(`    new: ${describe(after)}`));
+    }
 };
 
-// Compare two snapshots
-const diffSnapshots = async () => {
-    console.clear(); // Clear the console for a clean interface
-    const dbPath = getDatabasePath();
-    if (!fs.existsSync(dbPath)) {
-        console.error(chalk.red(`Project not initialized. Run "svc init" first.`));
+// Prompt for the optional type/directory filter. For the side-by-side view, also ask whether to show
+// whitespace changes, compare JSON and YAML files by key path and print only the summary.
+const promptForFilter = (sideBySide = true) =>
+    inquirer.prompt([
+        {
+            type: 'input',
+            name: 'fileType',
+            message: 'Filter by file type (e.g., .js, .css). Leave blank for no filter:',
+            default: '',
+        },
+        {
+            type: 'input',
+            name: 'directory',
+            message: 'Filter by directory (e.g., src/). Leave blank for no filter:',
+            default: '',
+        },
+        {
+            type: 'confirm',
+            name: 'ignoreWhitespace',
+            message: 'Ignore whitespace changes?',
+            default: false,
+            when: sideBySide,
+        },
+        {
+            type: 'confirm',
+            name: 'semantic',
+            message: 'Compare JSON and YAML files by key path (ignoring formatting)?',
+            default: false,
+            when: sideBySide,
+        },
+        {
+            type: 'list',
+            name: 'view',
+            message: 'Show:',
+            choices: [
+                { name: 'Full diff followed by a summary', value: 'full' },
+                { name: 'Summary only (changed lines per file and directory)', value: 'stat' },
+            ],
+            when: sideBySide,
+        },
+    ]);
+
+// Index snapshot entries by path. Tombstoned paths are absent from their snapshot, so they surface as added or removed.
+const indexSnapshotFiles = (files) =>
+    files.reduce((acc, file) => {
+        if (!file.deleted) acc[file.path] = file;
+        return acc;
+    }, {});
+
+// Read the non-ignored files of the working tree into the same shape as snapshot entries
+const loadWorkingFiles = (root) => {
+    const { files } = walkProject(root, loadIgnoreRules());
+    return files.reduce((acc, filePath) => {
+        const { buffer } = readFileEntry(path.join(root, filePath));
+        const isBinary = isBinaryBuffer(buffer);
+        acc[filePath] = {
+            path: filePath,
+            blob_hash: calculateContentHash(buffer),
+            is_binary: isBinary,
+            content: isBinary ? buffer : buffer.toString('utf-8'),
+        };
+        return acc;
+    }, {});
+};
+
+// Prompt for the context size and destination of a unified diff
+const promptForPatchOptions = async () => {
+    const answers = await inquirer.prompt([
+        {
+            type: 'number',
+            name: 'context',
+            message: 'Lines of context around each change:',
+            default: DEFAULT_CONTEXT,
+            validate: (input) => (Number.isInteger(input) && input >= 0) || 'Enter a whole number.',
+        },
+        {
+            type: 'input',
+            name: 'output',
+            message: 'Write the patch to (e.g., changes.patch). Leave blank to print it:',
+            default: '',
+        },
+    ]);
+    return { context: answers.context, output: answers.output.trim() || undefined };
+};
+
+// Prompt for the context size and destination of an HTML report
+const promptForReportOptions = async (snapshot1, snapshot2) => {
+    const answers = await inquirer.prompt([
+        {
+            type: 'number',
+            name: 'context',
+            message: 'Lines of context around each change:',
+            default: DEFAULT_CONTEXT,
+            validate: (input) => (Number.isInteger(input) && input >= 0) || 'Enter a whole number.',
+        },
+        {
+            type: 'input',
+            name: 'output',
+            message: 'Write the report to:',
+            default: `snapshot-${snapshot1}-vs-${snapshot2}.html`,
+            validate: (input) => input.trim() !== '' || 'Enter a file name.',
+        },
+    ]);
+    return { context: answers.context, output: answers.output.trim() };
+};
+
+// Pair up the paths of both sides that pass the filter. A path only removed and another only added
+// are paired as a rename when their contents match closely enough (`renames` is the similarity
+// threshold; false turns detection off). `changedOnly` skips identical files.
+const collectFileDiffs = (files1, files2, filterOptions, { changedOnly, renames = DEFAULT_RENAME_THRESHOLD }) => {
+    const pairs = Object.keys({ ...files1, ...files2 }).map((path) => ({
+        path,
+        before: files1[path],
+        after: files2[path],
+    }));
+
+    if (renames !== false) {
+        const removed = pairs.filter((pair) => !pair.after).map((pair) => pair.before);
+        const added = pairs.filter((pair) => !pair.before).map((pair) => pair.after);
+        detectRenames(removed, added, renames).forEach(({ from, to, similarity }) => {
+            const target = pairs.find((pair) => pair.path === to.path);
+            Object.assign(target, { before: from, oldPath: from.path, similarity });
+            pairs.splice(pairs.findIndex((pair) => pair.path === from.path), 1);
+        });
+    }
+
+    return filterFiles(pairs, filterOptions).filter(
+        ({ before, after, oldPath }) => !changedOnly || oldPath || !before || !after || !sameContent(before, after)
+    );
+};
+
+// Print the `git diff --stat` style summary of the compared paths
+const displayDiffStat = (fileDiffs) => {
+    const lines = renderDiffStat(summarizeDiff(fileDiffs));
+    if (lines.length > 0) console.log(`\n${chalk.bold('Summary:')}\n${lines.join('\n')}`);
+};
+
+// Print the diff of one compared path ({ path, before, after, oldPath, similarity }) in the view
+// that suits its content. `display` carries `context`, `ignoreWhitespace` and `semantic`.
+const displayFileDiff = (fileDiff, display = {}) => {
+    const { path, before, after, oldPath } = fileDiff;
+    const label = describeChange(fileDiff);
+    if (before?.is_binary || after?.is_binary) {
+        displayBinaryDiff(path, before, after, label, oldPath);
+    } else if (display.semantic && before && after && isStructuredPath(path)) {
+        displayStructuredDiff(path, before.content, after.content, label, display, oldPath);
+    } else {
+        displaySideBySideDiff(path, before?.content || '', after?.content || '', label, display, oldPath);
+    }
+};
+
+// Print the diff of every path in either side that passes the filter, then the summary
+const displayDiffs = (title, fileDiffs, changedOnly, display) => {
+    if (fileDiffs.length === 0) {
+        console.log(chalk.yellow(changedOnly ? 'No changes found.' : 'No matching files found based on the filter criteria.'));
         return;
     }
 
-    const rl = blockInput(); // Block input during snapshot diff
+    console.log(chalk.bold.green(`\n${title}:`));
+    fileDiffs.forEach((fileDiff) => displayFileDiff(fileDiff, display));
+    displayDiffStat(fileDiffs);
+};
 
-    try {
-        const db = new sqlite3.Database(dbPath);
-
-        const project = await new Promise((resolve, reject) =>
-            db.get(`SELECT id FROM projects WHERE name = ?`, [getProjectName()], (err, result) => {
-                if (err) return reject(err);
-                resolve(result);
-            })
-        );
-
-        if (!project) {
-            console.error(chalk.red(`Error finding project "${getProjectName()}". Ensure it is initialized.`));
-            return;
-        }
+// Emit the changes as a unified diff on stdout, or into `output`
+const writeUnifiedDiff = (fileDiffs, { context, output }) => {
+    const patch = fileDiffs
+        .map(({ path, before, after, oldPath, similarity }) => formatFilePatch(path, before, after, { context, oldPath, similarity }))
+        .join('');
+    if (output === undefined) {
+        process.stdout.write(patch);
+        return;
+    }
 
-        const snapshots = await new Promise((resolve, reject) =>
-            db.all(
-                `SELECT id, description, created_at FROM snapshots WHERE project_id = ? ORDER BY created_at ASC`,
-                [project.id],
-                (err, rows) => {
-                    if (err) return reject(err);
-                    resolve(rows);
-                }
-            )
-        );
-
-        if (snapshots.length < 2) {
-            console.log(chalk.yellow('Not enough snapshots to compare.'));
-            return;
-        }
+    fs.writeFileSync(output, patch, 'utf-8');
+    const count = patch.split(/^diff --git /m).length - 1;
+    console.error(chalk.green(`Patch with ${count} changed file(s) written to ${output}.`));
+};
+
+// Write the changes as a single HTML page into `output`; `report` holds the compared snapshot rows
+// and the project name shown in its header
+const writeHtmlReport = (title, fileDiffs, { context, output, report }) => {
+    fs.writeFileSync(output, renderHtmlReport({ title, ...report, fileDiffs, context }), 'utf-8');
+    console.error(chalk.green(`HTML report of ${fileDiffs.length} changed file(s) written to ${output}.`));
+};
+
+// Render the comparison in the requested format. The side-by-side view is the default; with `browse`
+// it offers to expand the collapsed context afterwards. `format: 'stat'` prints only its summary,
+// `format: 'unified'` a patch with `context` lines to stdout or `output`, and `format: 'html'`
+// a report in `output` (see writeHtmlReport). `renames` sets the rename similarity threshold,
+// or turns detection off when false.
+const outputDiffs = async (title, files1, files2, filterOptions, options) => {
+    const { format } = options;
+    const changedOnly = ['unified', 'stat', 'html'].includes(format) || Boolean(options.changedOnly);
+    const fileDiffs = collectFileDiffs(files1, files2, filterOptions, { changedOnly, renames: options.renames });
+
+    if (format === 'unified') {
+        writeUnifiedDiff(fileDiffs, options);
+        return;
+    }
+    if (format === 'html') {
+        writeHtmlReport(title, fileDiffs, options);
+        return;
+    }
+    if (format === 'stat') {
+        if (fileDiffs.length === 0) console.log(chalk.yellow('No changes found.'));
+        else console.log(chalk.bold.green(`\n${title}:`));
+        displayDiffStat(fileDiffs);
+        return;
+    }
+
+    let context = options.context ?? DEFAULT_CONTEXT;
+    for (;;) {
+        displayDiffs(title, fileDiffs, changedOnly, {
+            context,
+            ignoreWhitespace: filterOptions.ignoreWhitespace,
+            semantic: filterOptions.semantic,
+        });
+        if (!options.browse || fileDiffs.length === 0 || context === Infinity) return;
 
-        const { snapshotIds } = await inquirer.prompt([
+        const { next } = await inquirer.prompt([
             {
-                type: 'checkbox',
-                name: 'snapshotIds',
-                message: 'Select two snapshots to compare:',
-                choices: snapshots.map((snap) => ({
-                    name: `${snap.id}: ${snap.description} (${snap.created_at})`,
-                    value: snap.id,
-                })),
-                validate: (input) => input.length === 2 || 'Please select exactly two snapshots.',
+                type: 'list',
+                name: 'next',
+                message: 'Unchanged lines are collapsed:',
+                choices: [
+                    { name: 'Done', value: 'done' },
+                    { name: `Expand context to ${Math.max(context * 2, 1)} lines`, value: 'expand' },
+                    { name: 'Show whole files', value: 'full' },
+                ],
             },
         ]);
+        if (next === 'done') return;
+        context = next === 'full' ? Infinity : Math.max(context * 2, 1);
+        console.clear();
+    }
+};
+
+// Compare two snapshots. Pass `snapshotIds` (ids, tags or branches) and optionally `fileType` and
+// `directory` to skip the prompts. The side-by-side view keeps `context` unchanged lines around
+// changes, can `ignoreWhitespace` and, with `semantic`, compares JSON and YAML files by key path.
+// `format`, `output` and `renames` work as for `outputDiffs`.
+const diffSnapshots = async (options = {}) => {
+    const unified = options.format === 'unified';
+    const html = options.format === 'html';
+    if (!unified && !html) console.clear(); // Clear the console for a clean interface
+    let db;
+    const rl = blockInput(); // Block input during snapshot diff
+
+    try {
+        let root, project;
+        ({ root, db, project } = await openRepository());
+
+        const snapshots = await loadSnapshots(db, project.id);
+
+        let { snapshotIds } = options;
+        const scripted = Boolean(snapshotIds);
+        if (!scripted) {
+            if (snapshots.length < 2) {
+                console.log(chalk.yellow('Not enough snapshots to compare.'));
+                return;
+            }
+
+            ({ snapshotIds } = await inquirer.prompt([
+                {
+                    type: 'checkbox',
+                    name: 'snapshotIds',
+                    message: 'Select two snapshots to compare:',
+                    choices: snapshots.map((snap) => ({
+                        name: formatSnapshotChoice(snap),
+                        value: snap.id,
+                    })),
+                    validate: (input) => input.length === 2 || 'Please select exactly two snapshots.',
+                },
+            ]));
+        } else {
+            snapshotIds = await Promise.all(snapshotIds.map((ref) => resolveSnapshotRef(db, project.id, ref)));
+        }
 
         const [snapshot1, snapshot2] = snapshotIds;
 
-        const filterOptions = await inquirer.prompt([
-            {
-                type: 'input',
-                name: 'fileType',
-                message: 'Filter by file type (e.g., .js, .css). Leave blank for no filter:',
-                default: '',
-            },
-            {
-                type: 'input',
-                name: 'directory',
-                message: 'Filter by directory (e.g., src/). Leave blank for no filter:',
-                default: '',
-            },
-        ]);
+        const filterOptions = scripted
+            ? {
+                fileType: options.fileType || '',
+                directory: resolveDirectory(root, options.directory),
+                ignoreWhitespace: Boolean(options.ignoreWhitespace),
+                semantic: Boolean(options.semantic),
+            }
+            : await promptForFilter(!unified && !html);
+        let { context, output } = options;
+        if (unified && context === undefined) ({ context, output } = await promptForPatchOptions());
+        if (html && output === undefined) ({ context, output } = await promptForReportOptions(snapshot1, snapshot2));
 
-        console.log('\n'); // Add spacing before starting the spinner
+        if (!unified && !html) console.log('\n'); // Add spacing before starting the spinner
         const spinner = ora('Processing snapshot comparison...').start();
 
-        const files = await new Promise((resolve, reject) =>
-            db.all(
-                `SELECT sf.snapshot_id, f.path, sf.content
-                 FROM snapshot_files sf
-                 INNER JOIN files f ON sf.file_id = f.id
-                 WHERE sf.snapshot_id IN (?, ?)`,
-                [snapshot1, snapshot2],
-                (err, rows) => {
-                    if (err) return reject(err);
-                    resolve(rows);
-                }
-            )
-        );
-
-        const filesBySnapshot = files.reduce((acc, file) => {
-            if (!acc[file.snapshot_id]) acc[file.snapshot_id] = {};
-            acc[file.snapshot_id][file.path] = file.content || '';
-            return acc;
-        }, {});
-
-        const files1 = filesBySnapshot[snapshot1] || {};
-        const files2 = filesBySnapshot[snapshot2] || {};
-
-        const filteredFiles = filterFiles(
-            Object.keys({ ...files1, ...files2 }).map((path) => ({
-                path,
-                content1: files1[path] || '',
-                content2: files2[path] || '',
-            })),
-            filterOptions
-        );
+        const files = await loadSnapshotFiles(db, [snapshot1, snapshot2]);
+        const files1 = indexSnapshotFiles(files.filter((file) => file.snapshot_id === snapshot1));
+        const files2 = indexSnapshotFiles(files.filter((file) => file.snapshot_id === snapshot2));
 
         spinner.stop(); // Stop the spinner before displaying results
 
-        if (filteredFiles.length === 0) {
-            console.log(chalk.yellow('No matching files found based on the filter criteria.'));
+        const [from, to] = [snapshot1, snapshot2].map((id) => snapshots.find((snap) => snap.id === id));
+        await outputDiffs(`Diff Between Snapshots ${snapshot1} and ${snapshot2}`, files1, files2, filterOptions, {
+            format: filterOptions.view === 'stat' ? 'stat' : options.format,
+            context,
+            output,
+            renames: options.renames,
+            browse: !scripted,
+            report: { from, to, projectName: project.name },
+        });
+    } catch (error) {
+        console.error(chalk.red(`Error: ${error.message}`));
+        process.exitCode = 1;
+    } finally {
+        if (db) await close(db);
+        unblockInput(rl); // Unblock input even in case of an error
+    }
+};
+
+// Compare the working tree with a snapshot. Pass `snapshotId` (an id, tag or branch) to skip the prompt,
+// or `latest` to compare with the head snapshot; the filter and display options work as for `diffSnapshots`.
+// The filter is prompted for unless `scripted` is set, as it is for command-line calls.
+const diffWorkingTree = async (options = {}) => {
+    const unified = options.format === 'unified';
+    if (!unified) console.clear();
+    let db;
+    const rl = blockInput();
+
+    try {
+        let root, project;
+        ({ root, db, project } = await openRepository());
+
+        let { snapshotId } = options;
+        const scripted = Boolean(options.scripted);
+        if (options.latest) {
+            const head = await getHead(db, project.id);
+            const snapshots = head.snapshotId ? [] : await loadSnapshots(db, project.id);
+            snapshotId = head.snapshotId || snapshots[snapshots.length - 1]?.id;
+            if (!snapshotId) {
+                console.log(chalk.yellow('No snapshots found to compare with.'));
+                return;
+            }
+        } else if (snapshotId === undefined) {
+            const snapshots = await loadSnapshots(db, project.id);
+            if (snapshots.length === 0) {
+                console.log(chalk.yellow('No snapshots found to compare with.'));
+                return;
+            }
+            snapshotId = await promptForSnapshot(snapshots, 'Select a snapshot to compare the working tree with:');
         } else {
-            console.log(chalk.bold.green(`\nDiff Between Snapshots ${snapshot1} and ${snapshot2}:`));
-            filteredFiles.forEach(({ path, content1, content2 }) =>
-                displaySideBySideDiff(path, content1, content2)
-            );
+            snapshotId = await resolveSnapshotRef(db, project.id, snapshotId);
         }
 
-        db.close();
+        const filterOptions = scripted
+            ? {
+                fileType: options.fileType || '',
+                directory: resolveDirectory(root, options.directory),
+                ignoreWhitespace: Boolean(options.ignoreWhitespace),
+                semantic: Boolean(options.semantic),
+            }
+            : await promptForFilter(!unified);
+        const { context, output } = unified && options.context === undefined ? await promptForPatchOptions() : options;
+
+        if (!unified) console.log('\n');
+        const spinner = ora('Comparing with the working tree...').start();
+
+        const files1 = indexSnapshotFiles(await loadSnapshotFiles(db, snapshotId));
+        const files2 = loadWorkingFiles(root);
+
+        spinner.stop();
+
+        await outputDiffs(`Diff Between Snapshot ${snapshotId} and the Working Tree`, files1, files2, filterOptions, {
+            format: filterOptions.view === 'stat' ? 'stat' : options.format,
+            changedOnly: true,
+            context,
+            output,
+            renames: options.renames,
+            browse: !scripted,
+        });
     } catch (error) {
         console.error(chalk.red(`Error: ${error.message}`));
+        process.exitCode = 1;
     } finally {
-        unblockInput(rl); // Unblock input even in case of an error
+        if (db) await close(db);
+        unblockInput(rl);
     }
 };
 
+export { diffWorkingTree, displayFileDiff };
 export default diffSnapshots;
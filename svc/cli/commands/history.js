@@ -1,90 +1,239 @@
-import path from 'path';
-import sqlite3 from 'sqlite3';
 import chalk from 'chalk';
 import inquirer from 'inquirer';
-import fs from 'fs';
+import { close } from '../../database/query.js';
+import { loadSnapshotFiles } from '../../database/blobs.js';
+import { loadSnapshots, resolveSnapshotRef, traceFileHistory } from '../../database/snapshots.js';
+import { getHead } from '../../database/branches.js';
+import { getProjectName, normalizeProjectPath, openRepository } from '../../utils/repository.js';
+import { layoutGraph } from '../../utils/graph.js';
+import { formatSize } from '../../utils/binary.js';
+import { countChanges } from '../../utils/diffstat.js';
+import { sameContent, similarity } from '../../utils/renames.js';
+import { displayFileDiff } from './diff.js';
+import { applySnapshotFile, reportApplied } from './revert.js';
 
-// Get the project name
-const getProjectName = () => path.basename(process.cwd());
+// Load the project's snapshots with their tags and branches, oldest first, and the current head
+const loadHistory = async () => {
+    const { db, project } = await openRepository();
+    try {
+        return { snapshots: await loadSnapshots(db, project.id), head: await getHead(db, project.id) };
+    } finally {
+        await close(db);
+    }
+};
 
-// Get the database path
-const getDatabasePath = () => path.join(process.cwd(), `${getProjectName()}.db`);
+// Describe the branches and tags pointing at a snapshot, e.g. "(HEAD -> main, feature, tag: v1.0)"
+const formatRefs = (snap, head) => {
+    const attached = snap.id === head.snapshotId;
+    const refs = snap.branches.map((name) =>
+        attached && name === head.branch ? `${chalk.bold.cyan('HEAD ->')} ${chalk.green(name)}` : chalk.green(name)
+    );
+    // The head sits apart from its branch after reverting to an older snapshot
+    if (attached && !snap.branches.includes(head.branch)) refs.unshift(chalk.bold.cyan('HEAD'));
+    snap.tags.forEach((name) => refs.push(chalk.magenta(`tag: ${name}`)));
+    return refs.length > 0 ? ` (${refs.join(', ')})` : '';
+};
 
-// Show snapshot history
+// Show snapshot history as a lineage graph, newest first
 const showHistory = async () => {
-    const dbPath = getDatabasePath();
-    if (!fs.existsSync(dbPath)) {
-        console.error(chalk.red(`Project not initialized. Run "svc init" first.`));
+    let snapshots, head;
+    try {
+        ({ snapshots, head } = await loadHistory());
+    } catch (err) {
+        console.error(chalk.red(err.message));
+        process.exitCode = 1;
+        return;
+    }
+
+    if (snapshots.length === 0) {
+        console.log(chalk.yellow('No snapshots found.'));
         return;
     }
 
-    const db = new sqlite3.Database(dbPath);
-    db.get(`SELECT id FROM projects WHERE name = ?`, [getProjectName()], (err, project) => {
-        if (err || !project) {
-            console.error(chalk.red(`Error finding project "${getProjectName()}". Ensure it is initialized.`));
-            db.close();
+    console.log(chalk.green(`Snapshot History for "${getProjectName()}":\n`));
+    const rows = layoutGraph(snapshots);
+    const width = Math.max(...rows.map(({ graph }) => graph.length));
+    rows.forEach(({ graph, snapshot: snap }) => {
+        if (!snap) {
+            console.log(chalk.gray(graph));
             return;
         }
-
-        db.all(
-            `SELECT id, description, created_at FROM snapshots WHERE project_id = ? ORDER BY created_at ASC`,
-            [project.id],
-            (err, snapshots) => {
-                if (err || snapshots.length === 0) {
-                    console.log(chalk.yellow('No snapshots found.'));
-                    db.close();
-                    return;
-                }
-
-                console.log(chalk.green(`Snapshot History for "${getProjectName()}":`));
-                snapshots.forEach((snap) => {
-                    console.log(
-                        chalk.cyan(`ID: ${snap.id}\nDescription: ${snap.description}\nCreated At: ${snap.created_at}\n`)
-                    );
-                });
-
-                db.close();
-            }
+        console.log(
+            `${chalk.gray(graph.padEnd(width))} ${chalk.yellow(snap.id)}${formatRefs(snap, head)} ${snap.description} ` +
+                chalk.dim(`(${snap.created_at})`)
         );
     });
 };
 
+// Size of the change a version made to the previous one: "+3 -1", or the sizes of a binary file
+const formatChangeSize = ({ file, previous }) => {
+    const change = countChanges({ before: previous, after: file });
+    if (change.binary) return chalk.magenta(`Bin ${formatSize(change.oldSize)} → ${formatSize(change.newSize)}`);
+    return `${chalk.green(`+${change.insertions}`)} ${chalk.red(`-${change.deletions}`)}`;
+};
+
+// One line describing a version of the file: its snapshot, what happened and the change size
+const formatVersion = (version, filePath) => {
+    const { snapshot: snap, path, previous, renamedFrom } = version;
+    const change = renamedFrom
+        ? chalk.cyan(`renamed from ${renamedFrom}`)
+        : !previous
+            ? chalk.green('added')
+            : chalk.yellow('modified');
+    const name = path === filePath ? '' : ` ${chalk.dim(`as ${path}`)}`;
+    return `${chalk.yellow(snap.id)} ${snap.description} ${chalk.dim(`(${snap.created_at})`)} ${change}${name} ${formatChangeSize(version)}`;
+};
+
+// Diff two versions of the file, older on the left, noting a rename between them
+const compareVersions = ([newer, older]) => {
+    const renamed = older.path !== newer.path;
+    const score = sameContent(older.file, newer.file)
+        ? 1
+        : older.file.is_binary || newer.file.is_binary
+            ? 0
+            : similarity(older.file.content, newer.file.content);
+    console.log(chalk.bold.green(`\nSnapshot ${older.snapshot.id} → snapshot ${newer.snapshot.id}:`));
+    displayFileDiff({
+        path: newer.path,
+        before: older.file,
+        after: newer.file,
+        ...(renamed && { oldPath: older.path, similarity: score }),
+    });
+};
+
+// Let the user compare or restore versions from the file's history until they are done
+const browseVersions = async (root, filePath, versions) => {
+    const choices = versions.map((version) => ({ name: formatVersion(version, filePath), value: version }));
+    for (;;) {
+        const { action } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'action',
+                message: 'What next?',
+                choices: [
+                    ...(versions.length > 1 ? [{ name: 'Compare two versions', value: 'compare' }] : []),
+                    { name: 'Restore a version to the working tree', value: 'restore' },
+                    { name: 'Done', value: 'done' },
+                ],
+            },
+        ]);
+        if (action === 'done') return;
+
+        if (action === 'compare') {
+            const { picked } = await inquirer.prompt([
+                {
+                    type: 'checkbox',
+                    name: 'picked',
+                    message: 'Select two versions to compare:',
+                    choices,
+                    pageSize: 15,
+                    validate: (input) => input.length === 2 || 'Please select exactly two versions.',
+                },
+            ]);
+            // Versions are listed newest first, and so are the selections
+            compareVersions(picked);
+            continue;
+        }
+
+        const { version } = await inquirer.prompt([
+            { type: 'list', name: 'version', message: 'Select a version to restore:', choices, pageSize: 15 },
+        ]);
+        const { confirm } = await inquirer.prompt([
+            {
+                type: 'confirm',
+                name: 'confirm',
+                message: `Overwrite ${filePath} in the working tree with its version from snapshot ${version.snapshot.id}?`,
+                default: false,
+            },
+        ]);
+        if (!confirm) continue;
+
+        // An older version may have lived under another name; it is restored at the current path
+        const file = { ...version.file, path: filePath };
+        reportApplied(file, applySnapshotFile(root, file));
+    }
+};
+
+// Show the snapshots that changed one file, newest first, with the size of each change, following it
+// back across renames. Pass `filePath` to skip the picker and `snapshot` (an id, tag or branch) to start
+// somewhere other than the head. Picking the file interactively also offers to compare or restore versions.
+const showFileHistory = async (options = {}) => {
+    let db;
+    try {
+        let root, project;
+        ({ root, db, project } = await openRepository());
+
+        let snapshotId;
+        if (options.snapshot !== undefined) {
+            snapshotId = await resolveSnapshotRef(db, project.id, options.snapshot);
+        } else {
+            const head = await getHead(db, project.id);
+            const snapshots = head.snapshotId ? [] : await loadSnapshots(db, project.id);
+            snapshotId = head.snapshotId || snapshots[snapshots.length - 1]?.id;
+        }
+        if (!snapshotId) {
+            console.log(chalk.yellow('No snapshots found.'));
+            return;
+        }
+
+        let { filePath } = options;
+        if (filePath === undefined) {
+            const files = (await loadSnapshotFiles(db, snapshotId)).filter((file) => !file.deleted);
+            ({ filePath } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'filePath',
+                    message: 'Select a file:',
+                    choices: files.map((file) => file.path).sort(),
+                    pageSize: 15,
+                },
+            ]));
+        }
+
+        filePath = normalizeProjectPath(filePath);
+        const versions = await traceFileHistory(db, project.id, filePath, snapshotId);
+        if (versions.length === 0) {
+            console.error(chalk.red(`Path "${filePath}" does not exist in snapshot ${snapshotId}.`));
+            process.exitCode = 1;
+            return;
+        }
+
+        console.log(chalk.green(`History of "${filePath}" from snapshot ${snapshotId}:\n`));
+        versions.forEach((version) => console.log(formatVersion(version, filePath)));
+
+        if (options.filePath === undefined) {
+            console.log();
+            await browseVersions(root, filePath, versions);
+        }
+    } catch (err) {
+        console.error(chalk.red(`Error loading file history: ${err.message}`));
+        process.exitCode = 1;
+    } finally {
+        if (db) await close(db);
+    }
+};
+
 // List all snapshots
 const listSnapshots = async () => {
-    const dbPath = getDatabasePath();
-    if (!fs.existsSync(dbPath)) {
-        console.error(chalk.red(`Project not initialized. Run "svc init" first.`));
+    let snapshots;
+    try {
+        ({ snapshots } = await loadHistory());
+    } catch (err) {
+        console.error(chalk.red(err.message));
+        process.exitCode = 1;
         return;
     }
 
-    const db = new sqlite3.Database(dbPath);
-    db.get(`SELECT id FROM projects WHERE name = ?`, [getProjectName()], (err, project) => {
-        if (err || !project) {
-            console.error(chalk.red(`Error finding project "${getProjectName()}". Ensure it is initialized.`));
-            db.close();
-            return;
-        }
+    if (snapshots.length === 0) {
+        console.log(chalk.yellow('No snapshots found.'));
+        return;
+    }
 
-        db.all(
-            `SELECT id, description, created_at FROM snapshots WHERE project_id = ? ORDER BY created_at ASC`,
-            [project.id],
-            (err, snapshots) => {
-                if (err || snapshots.length === 0) {
-                    console.log(chalk.yellow('No snapshots found.'));
-                    db.close();
-                    return;
-                }
-
-                console.log(chalk.green('Available Snapshots:'));
-                snapshots.forEach((snap) => {
-                    console.log(`ID: ${snap.id} | Description: ${snap.description} | Created At: ${snap.created_at}`);
-                });
-
-                db.close();
-            }
-        );
+    console.log(chalk.green('Available Snapshots:'));
+    snapshots.forEach((snap) => {
+        const tags = snap.tags.length > 0 ? ` | Tags: ${chalk.magenta(snap.tags.join(', '))}` : '';
+        console.log(`ID: ${snap.id}${tags} | Description: ${snap.description} | Created At: ${snap.created_at}`);
     });
 };
 
-// Export both functions
-export { showHistory, listSnapshots };
+export { showHistory, showFileHistory, listSnapshots };
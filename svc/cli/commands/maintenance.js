@@ -0,0 +1,127 @@
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+import ora from 'ora';
+import { run, get, all, close, transaction } from '../../database/query.js';
+import { openDatabaseReadOnly } from '../../database/init.js';
+import { LATEST_VERSION, getAppliedMigrations, getSchemaVersion } from '../../database/migrations.js';
+import { codecs, DEFAULT_CODEC, encodeBlob, decodeBlob, storeBlob } from '../../database/blobs.js';
+import { calculateContentHash } from '../../utils/hash.js';
+import { formatSize } from '../../utils/binary.js';
+import { RepositoryNotFoundError, findRepositoryRoot, getDatabasePath, openRepository } from '../../utils/repository.js';
+
+// Total bytes currently used by stored snapshot contents
+const storedBytes = async (db) => {
+    // LENGTH counts characters of TEXT values; as a BLOB it counts bytes
+    const blobs = await get(db, `SELECT COALESCE(SUM(LENGTH(CAST(content AS BLOB))), 0) AS bytes FROM blobs`);
+    const inline = await get(
+        db,
+        `SELECT COALESCE(SUM(LENGTH(CAST(content AS BLOB))), 0) AS bytes FROM snapshot_files WHERE blob_hash IS NULL`
+    );
+    return blobs.bytes + inline.bytes;
+};
+
+// Recompress every stored snapshot content in place with the chosen codec.
+// Inline contents from before the blob store existed are moved into it along the way.
+const recompressSnapshots = async (options = {}) => {
+    if (!findRepositoryRoot()) {
+        console.error(chalk.red(new RepositoryNotFoundError().message));
+        process.exitCode = 1;
+        return;
+    }
+
+    let { codec } = options;
+    if (codec === undefined) {
+        ({ codec } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'codec',
+                message: 'Select a compression codec:',
+                choices: Object.keys(codecs),
+                default: DEFAULT_CODEC,
+            },
+        ]));
+    } else if (!codecs[codec]) {
+        console.error(chalk.red(`Unknown codec "${codec}". Choose one of: ${Object.keys(codecs).join(', ')}.`));
+        process.exitCode = 1;
+        return;
+    }
+
+    const spinner = ora(`Recompressing snapshot contents with ${codec}...`).start();
+    let db;
+    try {
+        ({ db } = await openRepository());
+        const before = await storedBytes(db);
+
+        const { movedRows, recompressed } = await transaction(db, async () => {
+            const inlineRows = await all(
+                db,
+                `SELECT id, content FROM snapshot_files WHERE blob_hash IS NULL AND content IS NOT NULL`
+            );
+            for (const row of inlineRows) {
+                const buffer = Buffer.from(row.content, 'utf-8');
+                const hash = calculateContentHash(buffer);
+                await storeBlob(db, hash, buffer, codec);
+                await run(db, `UPDATE snapshot_files SET blob_hash = ?, content = NULL WHERE id = ?`, [hash, row.id]);
+            }
+
+            let changed = 0;
+            const blobs = await all(db, `SELECT hash FROM blobs WHERE COALESCE(codec, 'none') != ?`, [codec]);
+            for (const { hash } of blobs) {
+                const blob = await get(db, `SELECT content, codec, is_binary FROM blobs WHERE hash = ?`, [hash]);
+                const content = decodeBlob(blob);
+                const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf-8');
+                const encoded = encodeBlob(buffer, Boolean(blob.is_binary), codec);
+                await run(db, `UPDATE blobs SET content = ?, codec = ? WHERE hash = ?`, [encoded.content, encoded.codec, hash]);
+                if (encoded.codec !== (blob.codec || 'none')) changed++;
+            }
+
+            return { movedRows: inlineRows.length, recompressed: changed };
+        });
+
+        spinner.text = 'Reclaiming free space...';
+        await run(db, 'VACUUM');
+
+        const after = await storedBytes(db);
+        spinner.succeed(
+            `Recompressed ${recompressed} blob(s) and moved ${movedRows} inline row(s) into the blob store ` +
+                `(${formatSize(before)} → ${formatSize(after)}).`
+        );
+    } catch (err) {
+        spinner.fail(`Error recompressing snapshots: ${err.message}`);
+        process.exitCode = 1;
+    } finally {
+        if (db) await close(db);
+    }
+};
+
+// Report the database schema version and the migrations applied to reach it. The database is
+// opened read-only and not migrated, so this also works on one written by a newer version.
+const showSchemaVersion = async () => {
+    const root = findRepositoryRoot();
+    if (!root) {
+        console.error(chalk.red(new RepositoryNotFoundError().message));
+        process.exitCode = 1;
+        return;
+    }
+
+    let db;
+    try {
+        db = await openDatabaseReadOnly(getDatabasePath(root));
+        const current = await getSchemaVersion(db);
+        const applied = await getAppliedMigrations(db);
+
+        console.log(chalk.green(`Schema version: ${current} (this CLI supports up to ${LATEST_VERSION})`));
+        if (current > LATEST_VERSION) console.log(chalk.yellow('This database was written by a newer svc. Upgrade svc to use it.'));
+        else if (current < LATEST_VERSION) console.log(chalk.yellow('The next command that opens the project will migrate it.'));
+        applied.forEach(({ version, description, applied_at: appliedAt }) => {
+            console.log(chalk.cyan(`  ${String(version).padStart(3)}  ${description}`) + chalk.dim(`  (${appliedAt})`));
+        });
+    } catch (err) {
+        console.error(chalk.red(err.message));
+        process.exitCode = 1;
+    } finally {
+        if (db) await close(db);
+    }
+};
+
+export { recompressSnapshots, showSchemaVersion };
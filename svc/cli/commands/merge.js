@@ -0,0 +1,209 @@
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+import ora from 'ora';
+import { close } from '../../database/query.js';
+import { loadSnapshotFiles } from '../../database/blobs.js';
+import { loadSnapshots, resolveSnapshotRef, findMergeBase } from '../../database/snapshots.js';
+import { getHead, setMergeHead } from '../../database/branches.js';
+import { calculateContentHash } from '../../utils/hash.js';
+import { mergeText, renderMerge, countConflicts } from '../../utils/merge.js';
+import { openRepository } from '../../utils/repository.js';
+import { applySnapshotFile, reportApplied } from './revert.js';
+import { computeStatus, uncommittedChanges } from './status.js';
+import { formatSnapshotChoice } from './tag.js';
+
+// Index a snapshot's present files by path
+const filesByPath = (files) => new Map(files.filter((file) => !file.deleted).map((file) => [file.path, file]));
+
+// Identify a file version by content hash; absent files have none
+const fingerprint = (file) => (file ? file.blob_hash || calculateContentHash(file.content || '') : null);
+
+// Decide the outcome of one path given its base, ours and theirs versions
+const mergePath = (filePath, base, ours, theirs) => {
+    const [baseHash, oursHash, theirsHash] = [base, ours, theirs].map(fingerprint);
+
+    if (oursHash === theirsHash || baseHash === theirsHash) return null; // Nothing to take from theirs
+    if (baseHash === oursHash) return { path: filePath, take: theirs || { path: filePath, deleted: true } };
+
+    // Both sides changed the path differently
+    if (!ours || !theirs) {
+        return { path: filePath, conflict: 'deleted', ours, theirs, take: ours || theirs };
+    }
+    if (ours.is_binary || theirs.is_binary || base?.is_binary) {
+        return { path: filePath, conflict: 'binary', ours, theirs, take: ours };
+    }
+
+    const chunks = mergeText(base ? base.content || '' : '', ours.content || '', theirs.content || '');
+    if (countConflicts(chunks) === 0) return { path: filePath, take: { path: filePath, content: renderMerge(chunks) } };
+    return { path: filePath, conflict: 'content', ours, theirs, chunks };
+};
+
+// Show one conflicting region of a file
+const printConflictRegion = (filePath, conflict, position, total) => {
+    console.log(chalk.bold(`\n${filePath} (conflict ${position} of ${total})`));
+    console.log(chalk.red(conflict.ours.map((line) => `- ${line.replace(/\n$/, '')}`).join('\n') || '- (nothing)'));
+    console.log(chalk.green(conflict.theirs.map((line) => `+ ${line.replace(/\n$/, '')}`).join('\n') || '+ (nothing)'));
+};
+
+// Ask how each conflicting region of a file should be resolved
+const resolveContentConflicts = async (result) => {
+    const conflicts = result.chunks.filter((chunk) => chunk.conflict);
+    const resolutions = [];
+    for (const [index, { conflict }] of conflicts.entries()) {
+        printConflictRegion(result.path, conflict, index + 1, conflicts.length);
+        const { resolution } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'resolution',
+                message: 'Resolve this conflict:',
+                choices: [
+                    { name: 'Keep ours (-)', value: 'ours' },
+                    { name: 'Take theirs (+)', value: 'theirs' },
+                    { name: 'Keep both (ours first)', value: 'both' },
+                    { name: 'Leave conflict markers', value: 'markers' },
+                ],
+            },
+        ]);
+        resolutions.push(resolution);
+    }
+    return resolutions;
+};
+
+// Ask which side of a whole-file (binary or modify/delete) conflict to keep. Resolves with the
+// file entry to apply, or null to leave the working tree as it is.
+const resolveFileConflict = async (result) => {
+    const describe = (file) => (file ? 'modified' : 'deleted');
+    const { resolution } = await inquirer.prompt([
+        {
+            type: 'list',
+            name: 'resolution',
+            message: `${result.path}: ours ${describe(result.ours)}, theirs ${describe(result.theirs)}${
+                result.conflict === 'binary' ? ' (binary)' : ''
+            }. Keep:`,
+            choices: [
+                { name: 'Ours', value: 'ours' },
+                { name: 'Theirs', value: 'theirs' },
+                { name: 'Decide later', value: 'later' },
+            ],
+        },
+    ]);
+    if (resolution === 'later') return null;
+    return result[resolution] || { path: result.path, deleted: true };
+};
+
+// Merge another snapshot into the working tree with a three-way merge against their common
+// ancestor (or `base`). Clean changes are applied; conflicting regions get conflict markers,
+// or are resolved one by one when `interactive` is set. The next snapshot records both parents.
+const mergeSnapshots = async (options = {}) => {
+    const { force = false, interactive = false } = options;
+
+    let db;
+    try {
+        let root, project;
+        ({ root, db, project } = await openRepository());
+        const head = await getHead(db, project.id);
+        if (!head.snapshotId) {
+            console.error(chalk.red('Nothing to merge into: the current branch has no snapshots yet.'));
+            process.exitCode = 1;
+            return;
+        }
+
+        let { snapshot } = options;
+        if (snapshot === undefined) {
+            const snapshots = (await loadSnapshots(db, project.id)).filter((snap) => snap.id !== head.snapshotId);
+            if (snapshots.length === 0) {
+                console.log(chalk.yellow('No other snapshots to merge.'));
+                return;
+            }
+            ({ snapshot } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'snapshot',
+                    message: 'Select a snapshot to merge into the working tree:',
+                    choices: [...snapshots].reverse().map((snap) => ({ name: formatSnapshotChoice(snap), value: snap.id })),
+                },
+            ]));
+        }
+        const theirsId = await resolveSnapshotRef(db, project.id, snapshot);
+        const baseId =
+            options.base !== undefined
+                ? await resolveSnapshotRef(db, project.id, options.base)
+                : await findMergeBase(db, head.snapshotId, theirsId);
+
+        if (baseId === theirsId || theirsId === head.snapshotId) {
+            console.log(chalk.green('Already up to date.'));
+            return;
+        }
+
+        if (!force) {
+            const changed = uncommittedChanges(await computeStatus(db, project.id, root));
+            if (changed.length > 0) {
+                console.error(chalk.red('Your uncommitted changes would be overwritten by the merge:'));
+                changed.forEach((file) => console.error(chalk.red(`  ${file.path}`)));
+                console.error(chalk.yellow('Create a snapshot first, or merge with --force to discard them.'));
+                process.exitCode = 1;
+                return;
+            }
+        }
+
+        const spinner = ora(`Merging snapshot ${theirsId} (base ${baseId ?? 'none'})...`).start();
+        const [base, ours, theirs] = await Promise.all(
+            [baseId, head.snapshotId, theirsId].map(async (id) => filesByPath(id ? await loadSnapshotFiles(db, id) : []))
+        );
+        const paths = [...new Set([...base.keys(), ...ours.keys(), ...theirs.keys()])].sort();
+        const results = paths
+            .map((filePath) => mergePath(filePath, base.get(filePath), ours.get(filePath), theirs.get(filePath)))
+            .filter(Boolean);
+        spinner.stop();
+
+        const target = head.branch ? `branch "${head.branch}"` : `snapshot ${head.snapshotId}`;
+        const labels = {
+            oursLabel: `ours (${head.branch || `snapshot ${head.snapshotId}`})`,
+            theirsLabel: `theirs (${snapshot === theirsId ? `snapshot ${theirsId}` : snapshot})`,
+        };
+        const unresolved = [];
+        let applied = 0;
+
+        for (const result of results) {
+            let entry = result.take;
+            if (result.conflict === 'content') {
+                const resolutions = interactive ? await resolveContentConflicts(result) : [];
+                entry = { path: result.path, content: renderMerge(result.chunks, { ...labels, resolutions }) };
+                if (resolutions.length === 0 || resolutions.includes('markers')) unresolved.push(result);
+            } else if (result.conflict) {
+                entry = interactive ? await resolveFileConflict(result) : result.take;
+                if (!interactive || !entry) unresolved.push(result);
+            }
+
+            if (!entry) continue;
+            const outcome = applySnapshotFile(root, { ...entry, path: result.path });
+            if (!outcome.success || !result.conflict) {
+                reportApplied(result, { ...outcome, action: outcome.action === 'Restored' ? 'Merged' : outcome.action });
+            }
+            if (!outcome.success) process.exitCode = 1;
+            else applied++;
+        }
+
+        await setMergeHead(db, project.id, theirsId);
+
+        console.log(chalk.green(`\nMerged snapshot ${theirsId} into ${target} (base ${baseId ?? 'none'}): ${applied} path(s) updated.`));
+        if (unresolved.length > 0) {
+            console.log(chalk.red(`\nConflicts (${unresolved.length}):`));
+            unresolved.forEach((result) => {
+                const detail = result.conflict === 'content' ? `${countConflicts(result.chunks)} region(s)` : result.conflict;
+                console.log(chalk.red(`  ${result.path} (${detail})`));
+            });
+            console.log(chalk.yellow('Resolve the conflicts, then create a snapshot to conclude the merge.'));
+            process.exitCode = 1;
+        } else {
+            console.log(chalk.dim('Create a snapshot to record the merge.'));
+        }
+    } catch (err) {
+        console.error(chalk.red(`Error merging: ${err.message}`));
+        process.exitCode = 1;
+    } finally {
+        if (db) await close(db);
+    }
+};
+
+export { filesByPath, mergePath, mergeSnapshots };
@@ -5,6 +5,7 @@ import inquirer from 'inquirer';
 import ora from 'ora';
 import chokidar from 'chokidar';
 import debounce from 'lodash.debounce';
+import { getRepositoryRoot } from '../../utils/repository.js';
 
 // Maintain categorized changes
 const monitoredChanges = { added: [], modified: [], deleted: [] };
@@ -90,11 +91,12 @@ const handleInteractivePrompts = async (baseDir) => {
 // Real-Time Monitoring Function
 const monitorFiles = () => {
     return new Promise((resolve, reject) => {
-        const baseDir = process.cwd();
+        const baseDir = getRepositoryRoot();
         const spinner = ora('Starting real-time file monitoring...').start();
 
         const watcher = chokidar.watch(baseDir, {
-            ignored: /node_modules|\.git/,
+            // Whole path segments only, so `.svcignore` and `.gitignore` are still watched
+            ignored: /(^|[/\\])(node_modules|\.git|\.svc)([/\\]|$)/,
             persistent: true,
             ignoreInitial: true,
         });
@@ -0,0 +1,121 @@
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+import { RepositoryNotFoundError, findRepositoryRoot } from '../../utils/repository.js';
+import { pathExists } from '../../utils/metadata.js';
+import { applyHunks, createdContent, formatHunkHeader, parsePatchFiles } from '../../utils/patch.js';
+
+// Work out the new state of one patched path without touching the disk. Returns { content }
+// (null to remove the file), { move } for a rename without edits, or { error }, plus the hunks that failed.
+const patchFileEntry = (root, entry) => {
+    const target = entry.newPath || entry.oldPath;
+    const source = entry.oldPath ? path.join(root, entry.oldPath) : null;
+    const renamed = entry.oldPath && entry.newPath && entry.oldPath !== entry.newPath;
+
+    if (entry.binary) return { error: 'binary changes cannot be applied from a patch', failed: [] };
+    if (source && !fs.existsSync(source)) return { error: 'file does not exist', failed: entry.hunks };
+    if (renamed && pathExists(path.join(root, target))) return { error: 'rename target already exists', failed: entry.hunks };
+    if (renamed && entry.hunks.length === 0) return { move: true, failed: [] };
+    if (!source) {
+        if (pathExists(path.join(root, target))) return { error: 'file already exists', failed: entry.hunks };
+        return { content: createdContent(entry.hunks), failed: [] };
+    }
+
+    const { content, failed } = applyHunks(fs.readFileSync(source, 'utf-8'), entry.hunks);
+    if (!entry.newPath) {
+        if (failed.length > 0 || content !== '') return { error: 'file does not match the removed content', failed: entry.hunks };
+        return { content: null, failed };
+    }
+    return { content, failed };
+};
+
+// Paths in a patch must stay inside the project
+const insideRoot = (root, relativePath) => {
+    const resolved = path.resolve(root, relativePath);
+    return resolved.startsWith(`${root}${path.sep}`) && !resolved.split(path.sep).includes('.svc');
+};
+
+// Apply a unified diff to the working tree. Hunks that apply are written even when others in
+// the same file fail; each failure is reported. Pass `patchFile` to skip the prompt and `check`
+// to only report whether the patch applies.
+const applyPatchFile = async (options = {}) => {
+    const root = findRepositoryRoot();
+    if (!root) {
+        console.error(chalk.red(new RepositoryNotFoundError().message));
+        process.exitCode = 1;
+        return;
+    }
+
+    let { patchFile } = options;
+    const { check = false } = options;
+    if (patchFile === undefined) {
+        ({ patchFile } = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'patchFile',
+                message: 'Path of the patch file to apply:',
+                validate: (input) => fs.existsSync(input.trim()) || 'File not found.',
+            },
+        ]));
+        patchFile = patchFile.trim();
+    }
+
+    try {
+        const entries = parsePatchFiles(fs.readFileSync(patchFile, 'utf-8'));
+        if (entries.length === 0) {
+            console.log(chalk.yellow('The patch contains no changes.'));
+            return;
+        }
+
+        let patched = 0;
+        let failedHunks = 0;
+        entries.forEach((entry) => {
+            const target = entry.newPath || entry.oldPath;
+            if ([entry.oldPath, entry.newPath].some((name) => name && !insideRoot(root, name))) {
+                console.log(chalk.red(`Skipped ${target}: path is outside the project.`));
+                process.exitCode = 1;
+                return;
+            }
+
+            const result = patchFileEntry(root, entry);
+            failedHunks += result.failed.length;
+            if (result.error) {
+                console.log(chalk.red(`Skipped ${target}: ${result.error}.`));
+                process.exitCode = 1;
+                return;
+            }
+            result.failed.forEach((hunk) => console.log(chalk.red(`${target}: hunk ${formatHunkHeader(hunk)} failed to apply`)));
+            if (result.failed.length === entry.hunks.length && entry.hunks.length > 0) return;
+
+            const renamed = entry.oldPath && entry.newPath && entry.oldPath !== entry.newPath;
+            if (!check) {
+                const filePath = path.join(root, target);
+                fs.mkdirSync(path.dirname(filePath), { recursive: true });
+                if (result.move) {
+                    fs.renameSync(path.join(root, entry.oldPath), filePath);
+                } else if (result.content === null) {
+                    fs.rmSync(filePath);
+                } else {
+                    fs.writeFileSync(filePath, result.content, 'utf-8');
+                    if (renamed) fs.rmSync(path.join(root, entry.oldPath));
+                }
+            }
+
+            const action = renamed ? 'Renamed' : result.content === null ? 'Removed' : !entry.oldPath ? 'Created' : 'Patched';
+            const name = renamed ? `${entry.oldPath} → ${entry.newPath}` : target;
+            const note = result.failed.length > 0 ? chalk.yellow(' (partially)') : '';
+            console.log(chalk.green(`${check ? `Would be ${action.toLowerCase()}` : action}: ${name}`) + note);
+            patched += 1;
+        });
+
+        if (failedHunks > 0) process.exitCode = 1;
+        const summary = `${check ? 'Checked' : 'Applied'} ${patched} of ${entries.length} file(s); ${failedHunks} hunk(s) failed.`;
+        console.log(process.exitCode ? chalk.yellow(summary) : chalk.green(summary));
+    } catch (err) {
+        console.error(chalk.red(`Error applying patch: ${err.message}`));
+        process.exitCode = 1;
+    }
+};
+
+export { applyPatchFile };
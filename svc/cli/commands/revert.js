@@ -1,205 +1,344 @@
 import path from 'path';
-import sqlite3 from 'sqlite3';
 import fs from 'fs';
 import chalk from 'chalk';
 import inquirer from 'inquirer';
 import ora from 'ora';
+import { all, close } from '../../database/query.js';
+import { loadSnapshotFiles } from '../../database/blobs.js';
+import { loadSnapshots, resolveSnapshotRef } from '../../database/snapshots.js';
+import { getHead, setHead } from '../../database/branches.js';
+import { calculateFileHash, calculateContentHash } from '../../utils/hash.js';
+import { loadIgnoreRules } from '../../utils/ignore.js';
+import { walkProject } from '../../utils/walk.js';
+import { openRepository } from '../../utils/repository.js';
+import { metadataChanged, pathExists, writeFileEntry } from '../../utils/metadata.js';
+import { writeSnapshot } from './snapshot.js';
+import { computeStatus } from './status.js';
+import { formatSnapshotChoice } from './tag.js';
 
-// Get the project name
-const getProjectName = () => path.basename(process.cwd());
+// Helper function for file restoration. Buffers (binary content) are written byte-for-byte,
+// symlinks are recreated and recorded modes and mtimes are applied.
+const restoreFile = (filePath, file) => {
+    try {
+        writeFileEntry(filePath, file);
+        return { success: true };
+    } catch (err) {
+        return { success: false, error: err.message };
+    }
+};
 
-// Get the database path
-const getDatabasePath = () => path.join(process.cwd(), `${getProjectName()}.db`);
+// Bring one path in line with its snapshot entry: write its content back, or remove it
+// when the snapshot recorded a tombstone for it.
+const applySnapshotFile = (root, file) => {
+    const filePath = path.join(root, file.path);
+    if (!file.deleted) return { ...restoreFile(filePath, file), action: 'Restored' };
 
-// Helper function for file restoration
-const restoreFile = (filePath, content) => {
     try {
-        fs.mkdirSync(path.dirname(filePath), { recursive: true });
-        fs.writeFileSync(filePath, content || '', 'utf-8');
-        return { success: true };
+        if (!pathExists(filePath)) return { success: true, action: null };
+        fs.rmSync(filePath);
+        return { success: true, action: 'Removed' };
     } catch (err) {
         return { success: false, error: err.message };
     }
 };
 
-// Revert all files to a specific snapshot
-const revertToSnapshot = async () => {
-    const spinner = ora('Loading snapshots...').start();
-    const dbPath = getDatabasePath();
+// Print the outcome of applying a snapshot entry
+const reportApplied = (file, result) => {
+    if (!result.success) {
+        console.log(chalk.red(`Failed to restore ${file.path}: ${result.error}`));
+    } else if (result.action === 'Removed') {
+        console.log(chalk.yellow(`Removed: ${file.path}`));
+    } else if (result.action) {
+        console.log(chalk.green(`${result.action}: ${file.path}`));
+    }
+};
+
+// Plan labels, in the order they are listed
+const PLAN_ACTIONS = [
+    ['create', 'Create', chalk.green],
+    ['overwrite', 'Overwrite', chalk.yellow],
+    ['remove', 'Remove', chalk.red],
+];
+
+// Work out what applying a snapshot would do to each path of the working tree:
+// 'create', 'overwrite', 'remove' or null when the path already matches in content, mode and symlink target.
+// `unsaved` marks paths with changes that no snapshot holds yet.
+const planRevert = (root, files, unsavedPaths) =>
+    files.map((file) => {
+        const filePath = path.join(root, file.path);
+        const exists = pathExists(filePath);
+
+        let action = null;
+        if (file.deleted) {
+            action = exists ? 'remove' : null;
+        } else if (!exists) {
+            action = 'create';
+        } else if (
+            calculateFileHash(filePath) !== (file.blob_hash || calculateContentHash(file.content || '')) ||
+            metadataChanged(filePath, file)
+        ) {
+            action = 'overwrite';
+        }
+        return { file, action, unsaved: action !== null && unsavedPaths.has(file.path) };
+    });
+
+// Paths of the working tree the snapshot does not contain, which an exact revert removes.
+// Ignored paths are never touched; untracked ones only when `includeUntracked` is set.
+const findExtraPaths = async (db, projectId, root, files, includeUntracked) => {
+    const { files: present } = walkProject(root, loadIgnoreRules());
+    const inSnapshot = new Set(files.map((file) => file.path));
+    const tracked = await all(db, `SELECT path FROM files WHERE project_id = ? AND deleted_at IS NULL`, [projectId]);
+    const trackedPaths = new Set(tracked.map((file) => file.path));
+
+    return present
+        .filter((filePath) => !inSnapshot.has(filePath))
+        .map((filePath) => ({ path: filePath, untracked: !trackedPaths.has(filePath) }))
+        .filter((extra) => includeUntracked || !extra.untracked);
+};
 
-    if (!fs.existsSync(dbPath)) {
-        spinner.fail('Project not initialized. Run "svc init" first.');
-        return;
+// Remove directories left empty by a removal, stopping at the project root
+const removeEmptyParents = (root, filePath) => {
+    let dir = path.dirname(path.join(root, filePath));
+    while (dir !== root && dir.startsWith(root) && fs.readdirSync(dir).length === 0) {
+        fs.rmdirSync(dir);
+        dir = path.dirname(dir);
     }
+};
+
+// Print what a revert would change, flagging unsaved work it would destroy
+const printRevertPlan = (plan) => {
+    PLAN_ACTIONS.forEach(([action, label, color]) => {
+        const entries = plan.filter((entry) => entry.action === action);
+        if (entries.length === 0) return;
+
+        console.log(chalk.bold(`${label} (${entries.length}):`));
+        entries.forEach(({ file, unsaved, extra }) => {
+            const notes = [extra && (extra.untracked ? 'untracked, not in snapshot' : 'not in snapshot'), unsaved && 'unsnapshotted changes'];
+            const suffix = notes.filter(Boolean).map((note) => ` (${note})`).join('');
+            console.log(color(`  ${file.path}`) + (unsaved ? chalk.red.bold(suffix) : chalk.dim(suffix)));
+        });
+    });
+
+    const unchanged = plan.filter((entry) => entry.action === null).length;
+    if (unchanged > 0) console.log(chalk.dim(`${unchanged} file(s) already match.`));
+};
+
+// Does the plan overwrite or remove changes that no snapshot holds?
+const destroysUnsavedWork = (plan) => plan.some((entry) => entry.unsaved && entry.action !== 'create');
+
+// Revert all files to a specific snapshot. Pass `snapshotId` (an id, tag or branch) to skip the
+// prompt and the confirmation. `dryRun` only lists what would be created, overwritten or removed.
+// Before a revert that overwrites or removes files, a safety snapshot of the tracked files is
+// taken (unless `backup` is false) so the revert can itself be undone.
+// `exact` also removes tracked files the snapshot does not contain (and untracked ones with
+// `includeUntracked`), after listing them for confirmation unless `yes` is set.
+const revertToSnapshot = async (options = {}) => {
+    const { dryRun = false, backup = true, exact = false, yes = false } = options;
+    let { includeUntracked } = options;
+    const spinner = ora('Loading snapshots...').start();
+
+    let db;
+    try {
+        let root, project;
+        ({ root, db, project } = await openRepository());
+
+        const snapshots = await loadSnapshots(db, project.id);
+        if (snapshots.length === 0) {
+            spinner.fail('No snapshots found for this project.');
+            process.exitCode = 1;
+            return;
+        }
+
+        let { snapshotId } = options;
+        const interactive = snapshotId === undefined;
+        if (interactive) {
+            spinner.stop();
+
+            ({ snapshotId } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'snapshotId',
+                    message: `Select a snapshot to ${dryRun ? 'preview reverting' : 'revert'} to:`,
+                    choices: snapshots.map((snap) => ({
+                        name: formatSnapshotChoice(snap),
+                        value: snap.id,
+                    })),
+                },
+            ]));
+        } else {
+            snapshotId = await resolveSnapshotRef(db, project.id, snapshotId);
+        }
 
-    const db = new sqlite3.Database(dbPath);
+        if (exact && includeUntracked === undefined) {
+            ({ includeUntracked } = await inquirer.prompt([
+                {
+                    type: 'confirm',
+                    name: 'includeUntracked',
+                    message: 'Also remove untracked files that are not in the snapshot?',
+                    default: false,
+                },
+            ]));
+        }
 
-    db.get(`SELECT id FROM projects WHERE name = ?`, [getProjectName()], async (err, project) => {
-        if (err || !project) {
-            spinner.fail(`Error finding project "${getProjectName()}".`);
-            db.close();
+        spinner.start('Comparing with the working tree...');
+        const files = await loadSnapshotFiles(db, snapshotId);
+        if (files.length === 0) {
+            spinner.fail('No files found in the selected snapshot.');
+            process.exitCode = 1;
             return;
         }
 
-        db.all(
-            `SELECT id, description, created_at FROM snapshots WHERE project_id = ? ORDER BY created_at ASC`,
-            [project.id],
-            async (err, snapshots) => {
-                if (err || snapshots.length === 0) {
-                    spinner.fail('No snapshots found for this project.');
-                    db.close();
-                    return;
-                }
-
-                spinner.stop();
-
-                const { snapshotId } = await inquirer.prompt([
-                    {
-                        type: 'list',
-                        name: 'snapshotId',
-                        message: 'Select a snapshot to revert to:',
-                        choices: snapshots.map((snap) => ({
-                            name: `${snap.id}: ${snap.description} (${snap.created_at})`,
-                            value: snap.id,
-                        })),
-                    },
-                ]);
-
-                spinner.start('Reverting all files...');
-                db.all(
-                    `SELECT f.path, sf.content
-                     FROM snapshot_files sf
-                     INNER JOIN files f ON sf.file_id = f.id
-                     WHERE sf.snapshot_id = ?`,
-                    [snapshotId],
-                    (err, files) => {
-                        if (err || files.length === 0) {
-                            spinner.fail('No files found in the selected snapshot.');
-                            db.close();
-                            return;
-                        }
-
-                        files.forEach((file) => {
-                            const filePath = path.join(process.cwd(), file.path);
-                            const result = restoreFile(filePath, file.content);
-                            if (result.success) {
-                                console.log(chalk.green(`Restored: ${file.path}`));
-                            } else {
-                                console.log(chalk.red(`Failed to restore ${file.path}: ${result.error}`));
-                            }
-                        });
-
-                        spinner.succeed(`Reverted to snapshot ID: ${snapshotId}`);
-                        db.close();
-                    }
-                );
+        const status = await computeStatus(db, project.id, root);
+        const unsavedPaths = new Set([...status.added, ...status.modified, ...status.deleted].map((file) => file.path));
+        const plan = planRevert(root, files, unsavedPaths);
+        if (exact) {
+            const extras = await findExtraPaths(db, project.id, root, files, includeUntracked);
+            extras.forEach((extra) => {
+                plan.push({ file: { path: extra.path, deleted: 1 }, action: 'remove', unsaved: unsavedPaths.has(extra.path), extra });
+            });
+        }
+        spinner.stop();
+
+        if (dryRun || interactive) {
+            console.log(chalk.bold(`\nReverting to snapshot ${snapshotId} would:`));
+            printRevertPlan(plan);
+        }
+        if (dryRun) {
+            console.log(chalk.cyan('\nDry run: no files were changed.'));
+            return;
+        }
+
+        const unsafe = destroysUnsavedWork(plan);
+        const extras = plan.filter((entry) => entry.extra);
+        if (!interactive && extras.length > 0 && !yes) {
+            console.log(chalk.bold(`\nThe exact revert removes ${extras.length} file(s) not in snapshot ${snapshotId}:`));
+            extras.forEach(({ file }) => console.log(chalk.red(`  ${file.path}`)));
+        }
+        if (interactive || (extras.length > 0 && !yes)) {
+            if (unsafe) {
+                const kept = backup ? ' The safety snapshot keeps those of tracked files.' : '';
+                console.log(chalk.yellow(`\nChanges marked above are not in any snapshot.${kept}`));
             }
-        );
-    });
+            const { confirm } = await inquirer.prompt([
+                { type: 'confirm', name: 'confirm', message: `Revert to snapshot ${snapshotId}?`, default: false },
+            ]);
+            if (!confirm) {
+                console.log(chalk.yellow('Revert canceled.'));
+                return;
+            }
+        }
+
+        // Overwriting or removing files is backed up first; only creating files loses nothing. The
+        // safety snapshot records the tracked files as they are without tracking new ones, and hangs
+        // off the current head without moving it, so branches keep pointing where they did.
+        const destructive = plan.some((entry) => entry.action === 'overwrite' || entry.action === 'remove');
+        if (destructive && backup) {
+            spinner.start('Taking safety snapshot...');
+            const safety = await writeSnapshot(db, project.id, root, `Safety snapshot before reverting to ${snapshotId}`, {
+                moveHead: false,
+            });
+            spinner.succeed(`Safety snapshot ${safety.snapshotId} saved. Undo this revert with: svc revert ${safety.snapshotId}`);
+        } else if (unsafe) {
+            console.log(chalk.yellow('Skipping the safety snapshot: unsnapshotted changes will be lost.'));
+        }
+
+        const actions = new Map(plan.map((entry) => [entry.file.path, entry.action]));
+        const labels = { create: 'Created', overwrite: 'Restored', remove: 'Removed' };
+        files.forEach((file) => {
+            // Matching files are rewritten too, which restores their recorded mode and mtime
+            const result = applySnapshotFile(root, file);
+            reportApplied(file, { ...result, action: labels[actions.get(file.path)] || null });
+            if (!result.success) process.exitCode = 1;
+        });
+        extras.forEach(({ file }) => {
+            const result = applySnapshotFile(root, file);
+            if (result.success && result.action) removeEmptyParents(root, file.path);
+            reportApplied(file, result);
+            if (!result.success) process.exitCode = 1;
+        });
+
+        // The next snapshot descends from the one reverted to, forking the lineage if it was not the tip
+        await setHead(db, project.id, snapshotId);
+        const head = await getHead(db, project.id);
+
+        spinner.succeed(`Reverted to snapshot ID: ${snapshotId}`);
+        if (head.branch) console.log(chalk.dim(`The next snapshot on branch "${head.branch}" will continue from snapshot ${snapshotId}.`));
+    } catch (err) {
+        spinner.fail(`Error reverting: ${err.message}`);
+        process.exitCode = 1;
+    } finally {
+        if (db) await close(db);
+    }
 };
 
 // Selectively restore files from a snapshot
 const selectiveRestore = async () => {
     const spinner = ora('Loading snapshots...').start();
-    const dbPath = getDatabasePath();
 
-    if (!fs.existsSync(dbPath)) {
-        spinner.fail('Project not initialized. Run "svc init" first.');
-        return;
-    }
+    let db;
+    try {
+        let root, project;
+        ({ root, db, project } = await openRepository());
 
-    const db = new sqlite3.Database(dbPath);
+        const snapshots = await loadSnapshots(db, project.id);
+        if (snapshots.length === 0) {
+            spinner.fail('No snapshots found for this project.');
+            return;
+        }
+
+        spinner.stop();
 
-    db.get(`SELECT id FROM projects WHERE name = ?`, [getProjectName()], async (err, project) => {
-        if (err || !project) {
-            spinner.fail(`Error finding project "${getProjectName()}".`);
-            db.close();
+        const { snapshotId } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'snapshotId',
+                message: 'Select a snapshot to restore from:',
+                choices: snapshots.map((snap) => ({
+                    name: formatSnapshotChoice(snap),
+                    value: snap.id,
+                })),
+            },
+        ]);
+
+        const files = await loadSnapshotFiles(db, snapshotId);
+        if (files.length === 0) {
+            console.log(chalk.yellow('No files found in the selected snapshot.'));
             return;
         }
 
-        db.all(
-            `SELECT id, description, created_at FROM snapshots WHERE project_id = ? ORDER BY created_at ASC`,
-            [project.id],
-            async (err, snapshots) => {
-                if (err || snapshots.length === 0) {
-                    spinner.fail('No snapshots found for this project.');
-                    db.close();
-                    return;
-                }
-
-                spinner.stop();
-
-                const { snapshotId } = await inquirer.prompt([
-                    {
-                        type: 'list',
-                        name: 'snapshotId',
-                        message: 'Select a snapshot to restore from:',
-                        choices: snapshots.map((snap) => ({
-                            name: `${snap.id}: ${snap.description} (${snap.created_at})`,
-                            value: snap.id,
-                        })),
-                    },
-                ]);
-
-                db.all(
-                    `SELECT f.path, sf.content 
-                     FROM snapshot_files sf
-                     INNER JOIN files f ON sf.file_id = f.id
-                     WHERE sf.snapshot_id = ?`,
-                    [snapshotId],
-                    async (err, files) => {
-                        if (err || files.length === 0) {
-                            console.log(chalk.yellow('No files found in the selected snapshot.'));
-                            db.close();
-                            return;
-                        }
-
-                        const { selectedFiles } = await inquirer.prompt([
-                            {
-                                type: 'checkbox',
-                                name: 'selectedFiles',
-                                message: 'Select files to restore:',
-                                choices: files.map((file) => ({
-                                    name: file.path,
-                                    value: file,
-                                })),
-                                validate: (input) =>
-                                    input.length > 0
-                                        ? true
-                                        : 'You must select at least one file to proceed.',
-                            },
-                        ]);
-
-                        // Ensure no restoration happens if no files are explicitly selected
-                        if (!selectedFiles || selectedFiles.length === 0) {
-                            console.log(chalk.yellow('No files selected for restoration.'));
-                            db.close();
-                            return;
-                        }
-
-                        const restoreSpinner = ora('Restoring selected files...').start();
-
-                        selectedFiles.forEach((file) => {
-                            const filePath = path.join(process.cwd(), file.path);
-                            const result = restoreFile(filePath, file.content);
-
-                            if (result.success) {
-                                console.log(chalk.green(`Restored: ${file.path}`));
-                            } else {
-                                console.log(chalk.red(`Failed to restore ${file.path}: ${result.error}`));
-                            }
-                        });
-
-                        restoreSpinner.succeed('Selective file restoration completed.');
-                        db.close();
-                    }
-                );
-            }
-        );
-    });
-};
+        const { selectedFiles } = await inquirer.prompt([
+            {
+                type: 'checkbox',
+                name: 'selectedFiles',
+                message: 'Select files to restore:',
+                choices: files.map((file) => ({
+                    name: file.deleted ? `${file.path} ${chalk.red('(deleted in snapshot)')}` : file.path,
+                    value: file,
+                })),
+                validate: (input) =>
+                    input.length > 0
+                        ? true
+                        : 'You must select at least one file to proceed.',
+            },
+        ]);
+
+        // Ensure no restoration happens if no files are explicitly selected
+        if (!selectedFiles || selectedFiles.length === 0) {
+            console.log(chalk.yellow('No files selected for restoration.'));
+            return;
+        }
 
+        const restoreSpinner = ora('Restoring selected files...').start();
 
+        selectedFiles.forEach((file) => reportApplied(file, applySnapshotFile(root, file)));
 
+        restoreSpinner.succeed('Selective file restoration completed.');
+    } catch (err) {
+        spinner.fail(`Error restoring files: ${err.message}`);
+        process.exitCode = 1;
+    } finally {
+        if (db) await close(db);
+    }
+};
 
-export { revertToSnapshot, selectiveRestore };
+export { applySnapshotFile, reportApplied, revertToSnapshot, selectiveRestore };
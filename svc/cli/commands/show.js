@@ -0,0 +1,113 @@
+import path from 'path';
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+import { close } from '../../database/query.js';
+import { loadSnapshotFiles } from '../../database/blobs.js';
+import { loadSnapshots, resolveSnapshotRef } from '../../database/snapshots.js';
+import { formatSize } from '../../utils/binary.js';
+import { pathExists, writeFileEntry } from '../../utils/metadata.js';
+import { normalizeProjectPath, openRepository } from '../../utils/repository.js';
+import { promptForSnapshot } from './tag.js';
+
+// Split a `<snapshot>:<path>` spec. Ref names cannot contain ':', so the first one separates them.
+const parseFileSpec = (spec) => {
+    const index = spec.indexOf(':');
+    if (index <= 0 || index === spec.length - 1) return null;
+    return { snapshot: spec.slice(0, index), filePath: spec.slice(index + 1) };
+};
+
+// Print one file of a snapshot, or write it to `output`. Pass `snapshot` (an id, tag or branch)
+// and `filePath` to skip the pickers; `force` lets `output` overwrite an existing file.
+const showFile = async (options = {}) => {
+    let db;
+    try {
+        let project;
+        ({ db, project } = await openRepository());
+
+        let { snapshot, filePath, output } = options;
+        const interactive = snapshot === undefined;
+
+        let snapshotId;
+        if (interactive) {
+            const snapshots = await loadSnapshots(db, project.id);
+            if (snapshots.length === 0) {
+                console.log(chalk.yellow('No snapshots found for this project.'));
+                return;
+            }
+            snapshotId = await promptForSnapshot(snapshots, 'Select a snapshot to show a file from:');
+        } else {
+            snapshotId = await resolveSnapshotRef(db, project.id, snapshot);
+        }
+
+        const files = (await loadSnapshotFiles(db, snapshotId)).filter((file) => !file.deleted);
+        if (interactive) {
+            if (files.length === 0) {
+                console.log(chalk.yellow('No files found in the selected snapshot.'));
+                return;
+            }
+
+            ({ filePath, output } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'filePath',
+                    message: 'Select a file:',
+                    choices: files.map((file) => file.path).sort(),
+                    pageSize: 15,
+                },
+                {
+                    type: 'input',
+                    name: 'output',
+                    message: 'Write it to (leave blank to print it here):',
+                    default: '',
+                },
+            ]));
+            output = output.trim() || undefined;
+        }
+
+        const file = files.find((entry) => entry.path === normalizeProjectPath(filePath));
+        if (!file) {
+            console.error(chalk.red(`Path "${filePath}" does not exist in snapshot ${snapshotId}.`));
+            process.exitCode = 1;
+            return;
+        }
+
+        if (output !== undefined) {
+            const destination = path.resolve(output);
+            if (pathExists(destination) && !options.force) {
+                const { overwrite } = interactive
+                    ? await inquirer.prompt([
+                        { type: 'confirm', name: 'overwrite', message: `${output} exists. Overwrite it?`, default: false },
+                    ])
+                    : { overwrite: false };
+                if (!overwrite) {
+                    console.error(chalk.red(`${output} already exists.${interactive ? '' : ' Use --force to overwrite it.'}`));
+                    process.exitCode = 1;
+                    return;
+                }
+            }
+
+            // A fresh copy keeps the recorded permissions but not the old mtime
+            writeFileEntry(destination, { ...file, mtime_ms: null });
+            console.error(chalk.green(`Wrote ${file.path} from snapshot ${snapshotId} to ${output}.`));
+            return;
+        }
+
+        if (file.symlink_target != null) {
+            process.stdout.write(`${file.symlink_target}\n`);
+        } else if (file.is_binary && process.stdout.isTTY) {
+            console.error(
+                chalk.yellow(`${file.path} is a binary file (${formatSize(file.content.length)}). Write it to a file instead.`)
+            );
+            process.exitCode = 1;
+        } else {
+            process.stdout.write(file.content || '');
+        }
+    } catch (err) {
+        console.error(chalk.red(`Error showing file: ${err.message}`));
+        process.exitCode = 1;
+    } finally {
+        if (db) await close(db);
+    }
+};
+
+export { parseFileSpec, showFile };
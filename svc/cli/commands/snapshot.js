@@ -1,264 +1,311 @@
 import fs from 'fs';
 import path from 'path';
-import sqlite3 from 'sqlite3';
+import crypto from 'crypto';
 import chalk from 'chalk';
 import inquirer from 'inquirer';
 import ora from 'ora';
-import { calculateFileHash } from '../../utils/hash.js';
+import { calculateFileHash, calculateContentHash } from '../../utils/hash.js';
 import { loadIgnoreRules } from '../../utils/ignore.js';
-import initDatabase from '../../database/init.js';
-
-// Get the project name
-const getProjectName = () => path.basename(process.cwd());
+import { walkProject } from '../../utils/walk.js';
+import { pathExists, readFileEntry } from '../../utils/metadata.js';
+import {
+    METADATA_DIR,
+    RepositoryConfigError,
+    findRepositoryRoot,
+    getDatabasePath,
+    getProjectName,
+    openRepository,
+    readRepositoryConfig,
+    writeRepositoryConfig,
+} from '../../utils/repository.js';
+import { openDatabase } from '../../database/init.js';
+import { run, get, all, close, transaction } from '../../database/query.js';
+import { storeBlob } from '../../database/blobs.js';
+import { loadSnapshots, removeSnapshot } from '../../database/snapshots.js';
+import { DEFAULT_BRANCH, createBranch, setHead, attachSnapshot } from '../../database/branches.js';
+import { formatSnapshotChoice } from './tag.js';
+
+// Default `.svcignore` patterns for new projects
+const DEFAULT_IGNORE_PATTERNS = ['node_modules/', '.git/', `${METADATA_DIR}/`, '*.log', '*.tmp', '*.db'];
+
+// Register the project in an open database under the identity in `config` ({ id, name }), adopting
+// the row an older version or a lost config left behind: the one with the config's id, else the one
+// with the project's name, else the only project in the database. Resolves with the linked identity.
+const linkProject = async (db, config) => {
+    const rows = await all(db, `SELECT id, name, uuid FROM projects`);
+    const existing =
+        rows.find((row) => config.id && row.uuid === config.id) ||
+        rows.find((row) => row.name === config.name) ||
+        (rows.length === 1 ? rows[0] : undefined);
+    const id = existing?.uuid || config.id || crypto.randomUUID();
+    const name = existing?.name || config.name;
+
+    if (existing) {
+        if (existing.uuid !== id) await run(db, `UPDATE projects SET uuid = ? WHERE id = ?`, [id, existing.id]);
+    } else {
+        // Files and snapshots of a project whose row was lost keep its id, so the row is re-created under it
+        const orphans = await all(
+            db,
+            `SELECT project_id FROM snapshots UNION SELECT project_id FROM files
+             EXCEPT SELECT id FROM projects`
+        );
+        const orphanId = orphans.length === 1 ? orphans[0].project_id : null;
+        await transaction(db, async () => {
+            const { lastID } = await run(db, `INSERT INTO projects (id, name, uuid) VALUES (?, ?, ?)`, [orphanId, name, id]);
+            const branches = await all(
+                db,
+                `SELECT name, head_snapshot_id FROM branches WHERE project_id = ? ORDER BY name = ? DESC, name`,
+                [lastID, DEFAULT_BRANCH]
+            );
+            if (branches.length === 0) await createBranch(db, lastID, DEFAULT_BRANCH, null);
+            await setHead(db, lastID, branches[0]?.head_snapshot_id ?? null, branches[0]?.name || DEFAULT_BRANCH);
+        });
+    }
+    return { id, name };
+};
 
-// Get the database path
-const getDatabasePath = () => path.join(process.cwd(), `${getProjectName()}.db`);
+// Re-create a missing or corrupt `.svc/config.json` of an existing repository and re-link its
+// project row. A repository whose config names a registered project is left alone.
+const repairProject = async (root, spinner) => {
+    let db;
+    try {
+        db = await openDatabase(getDatabasePath(root));
+
+        let config = {};
+        try {
+            config = readRepositoryConfig(root);
+        } catch (err) {
+            if (!(err instanceof RepositoryConfigError)) throw err;
+        }
+        if (config.id && (await get(db, `SELECT id FROM projects WHERE uuid = ?`, [config.id]))) {
+            spinner.succeed(`Project "${getProjectName(root)}" is already initialized at ${root}.`);
+            return;
+        }
 
-// Retrieve the current project ID
-const getProjectId = async () => {
-    const dbPath = getDatabasePath();
-    if (!fs.existsSync(dbPath)) {
-        console.log(chalk.red('Project not initialized. Run "svc init" first.'));
-        return null;
+        const linked = await linkProject(db, { id: config.id, name: config.name || path.basename(root) });
+        writeRepositoryConfig(root, linked);
+        spinner.succeed(`Repaired the configuration of project "${linked.name}" at ${root}.`);
+    } catch (err) {
+        spinner.fail(`Error repairing project: ${err.message}`);
+        process.exitCode = 1;
+    } finally {
+        if (db) await close(db);
     }
-
-    return new Promise((resolve, reject) => {
-        const db = new sqlite3.Database(dbPath);
-        db.get(`SELECT id FROM projects WHERE name = ?`, [getProjectName()], (err, project) => {
-            if (err) {
-                db.close();
-                reject(err);
-            } else {
-                db.close();
-                resolve(project ? project.id : null);
-            }
-        });
-    });
 };
 
-// Initialize the project
-const initProject = () => {
+// Initialize the project in the current directory. A database left by older versions
+// at `<folder>.db` is moved into `.svc/` and keeps its history. In an existing repository
+// whose config is missing or corrupt, the config is re-created instead.
+const initProject = async () => {
     console.clear();
     const spinner = ora('Initializing project...').start();
-    const dbPath = getDatabasePath();
-    const ignoreFilePath = path.join(process.cwd(), '.svcignore');
 
-    if (fs.existsSync(dbPath)) {
-        spinner.succeed(`Project "${getProjectName()}" is already initialized.`);
+    const existingRoot = findRepositoryRoot();
+    if (existingRoot) {
+        await repairProject(existingRoot, spinner);
         return;
     }
 
-    initDatabase(dbPath, () => {
-        const db = new sqlite3.Database(dbPath);
-        db.run(`INSERT INTO projects (name) VALUES (?)`, [getProjectName()], (err) => {
-            if (err) {
-                spinner.fail(`Error inserting project name: ${err.message}`);
-            } else {
-                spinner.succeed(`Project "${getProjectName()}" initialized successfully.`);
-            }
-        });
-        db.close();
-    });
+    const root = process.cwd();
+    const name = path.basename(root);
+    const dbPath = getDatabasePath(root);
+    const legacyDbPath = path.join(root, `${name}.db`);
+    const ignoreFilePath = path.join(root, '.svcignore');
+
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+    if (fs.existsSync(legacyDbPath)) {
+        fs.renameSync(legacyDbPath, dbPath);
+        console.log(chalk.yellow(`Moved existing database ${name}.db into ${METADATA_DIR}/.`));
+    }
 
     if (!fs.existsSync(ignoreFilePath)) {
-        fs.writeFileSync(ignoreFilePath, ['node_modules/', '.git/', '*.log', '*.tmp', '*.db'].join('\n'));
+        fs.writeFileSync(ignoreFilePath, DEFAULT_IGNORE_PATTERNS.join('\n'));
         console.log(chalk.green(`.svcignore file created with default ignore patterns.`));
     }
+
+    let db;
+    try {
+        db = await openDatabase(dbPath);
+        writeRepositoryConfig(root, await linkProject(db, { id: readRepositoryConfig(root).id, name }));
+
+        spinner.succeed(`Project "${name}" initialized successfully.`);
+    } catch (err) {
+        spinner.fail(`Error initializing project: ${err.message}`);
+        process.exitCode = 1;
+    } finally {
+        if (db) await close(db);
+    }
+};
+
+// Bring the `files` table in line with the working tree, in a single transaction.
+// Tracked files missing from disk are kept as tombstones (`deleted_at`) rather than forgotten.
+const syncTrackedFiles = (db, projectId, projectDir) => {
+    const { files, ignored } = walkProject(projectDir, loadIgnoreRules());
+    ignored.forEach((entryPath) => console.log(chalk.gray(`Ignored: ${entryPath}`)));
+
+    return transaction(db, async () => {
+        for (const entryPath of files) {
+            const hash = calculateFileHash(path.join(projectDir, entryPath));
+            const row = await get(db, `SELECT id FROM files WHERE path = ? AND project_id = ?`, [entryPath, projectId]);
+            if (row) {
+                await run(
+                    db,
+                    `UPDATE files SET hash = ?, deleted_at = NULL, modified_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                    [hash, row.id]
+                );
+            } else {
+                await run(
+                    db,
+                    `INSERT INTO files (path, hash, project_id, modified_at) VALUES (?, ?, ?, CURRENT_TIMESTAMP)`,
+                    [entryPath, hash, projectId]
+                );
+            }
+        }
+
+        const tracked = await all(db, `SELECT id, path FROM files WHERE project_id = ? AND deleted_at IS NULL`, [projectId]);
+        for (const file of tracked) {
+            if (!pathExists(path.join(projectDir, file.path))) {
+                console.log(chalk.red(`Deleted: ${file.path}`));
+                await run(db, `UPDATE files SET hash = NULL, deleted_at = CURRENT_TIMESTAMP WHERE id = ?`, [file.id]);
+            }
+        }
+        return files.length;
+    });
 };
 
 // Track files
-const trackFiles = () => {
+const trackFiles = async () => {
     console.clear();
     const spinner = ora('Tracking files...').start();
-    const dbPath = getDatabasePath();
 
-    if (!fs.existsSync(dbPath)) {
-        spinner.fail('Project not initialized. Run "svc init" first.');
-        return;
+    let db;
+    try {
+        let root, project;
+        ({ root, db, project } = await openRepository());
+
+        const count = await syncTrackedFiles(db, project.id, root);
+        spinner.succeed(`File tracking completed (${count} file(s)).`);
+    } catch (err) {
+        spinner.fail(`Error tracking files: ${err.message}`);
+        process.exitCode = 1;
+    } finally {
+        if (db) await close(db);
     }
+};
 
-    const db = new sqlite3.Database(dbPath);
-    const projectDir = process.cwd();
-    const ignorePatterns = loadIgnoreRules();
-
-    const traverseDirectory = (dir, projectId) => {
-        const entries = fs.readdirSync(dir, { withFileTypes: true });
-        entries.forEach((entry) => {
-            const entryPath = path.relative(projectDir, path.join(dir, entry.name));
-            if (ignorePatterns.some((pattern) => new RegExp(`^${pattern.replace(/\*/g, '.*')}$`).test(entryPath))) {
-                console.log(chalk.gray(`Ignored: ${entryPath}`));
-                return;
+// Write a snapshot of the paths in the `files` table as they are on disk (run `syncTrackedFiles`
+// first to pick up new files). The snapshot row and all of its files are written in one
+// transaction, so a failure never leaves a half-populated snapshot.
+// Resolves with the new snapshot id and the number of blobs it added. `moveHead: false` records it
+// without moving the head or the current branch (see attachSnapshot).
+const writeSnapshot = (db, projectId, root, description, { moveHead = true } = {}) =>
+    transaction(db, async () => {
+        const { lastID } = await run(db, `INSERT INTO snapshots (project_id, description) VALUES (?, ?)`, [
+            projectId,
+            description,
+        ]);
+        await attachSnapshot(db, projectId, lastID, { moveHead });
+        const files = await all(db, `SELECT id, path FROM files WHERE project_id = ?`, [projectId]);
+
+        let stored = 0;
+        for (const file of files) {
+            const filePath = path.join(root, file.path);
+            if (!pathExists(filePath)) {
+                // Record that the path is absent in this snapshot
+                await run(db, `INSERT INTO snapshot_files (snapshot_id, file_id, deleted) VALUES (?, ?, 1)`, [
+                    lastID,
+                    file.id,
+                ]);
+                continue;
             }
 
-            if (entry.isFile()) {
-                const hash = calculateFileHash(path.join(projectDir, entryPath));
-                db.get(`SELECT * FROM files WHERE path = ?`, [entryPath], (err, row) => {
-                    if (row) {
-                        db.run(`UPDATE files SET hash = ?, modified_at = CURRENT_TIMESTAMP WHERE path = ?`, [hash, entryPath]);
-                    } else {
-                        db.run(
-                            `INSERT INTO files (path, hash, project_id, modified_at) VALUES (?, ?, ?, CURRENT_TIMESTAMP)`,
-                            [entryPath, hash, projectId]
-                        );
-                    }
-                });
-            } else if (entry.isDirectory()) {
-                traverseDirectory(path.join(dir, entry.name), projectId);
-            }
-        });
-    };
-
-    db.get(`SELECT id FROM projects WHERE name = ?`, [getProjectName()], (err, project) => {
-        if (err) {
-            spinner.fail(`Error retrieving project: ${err.message}`);
-        } else if (project) {
-            traverseDirectory(projectDir, project.id);
-            spinner.succeed('File tracking completed.');
-        } else {
-            spinner.fail('No project found for tracking.');
+            // Contents are stored once per unique hash and shared between snapshots;
+            // mode, mtime and symlink target belong to this snapshot's entry
+            const entry = readFileEntry(filePath);
+            const hash = calculateContentHash(entry.buffer);
+            if (await storeBlob(db, hash, entry.buffer)) stored++;
+            await run(
+                db,
+                `INSERT INTO snapshot_files (snapshot_id, file_id, blob_hash, mode, mtime_ms, symlink_target)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [lastID, file.id, hash, entry.mode, entry.mtimeMs, entry.symlinkTarget]
+            );
         }
-        db.close();
+        return { snapshotId: lastID, newBlobs: stored };
     });
-};
 
-// Create a snapshot
-const createSnapshot = async () => {
+// Create a snapshot. Pass `description` to skip the prompt.
+const createSnapshot = async (options = {}) => {
     console.clear();
     const spinner = ora('Creating snapshot...').start();
-    const dbPath = getDatabasePath();
-
-    if (!fs.existsSync(dbPath)) {
-        spinner.fail('Project not initialized. Run "svc init" first.');
-        return;
-    }
 
-    await trackFiles(); // Ensure files are up-to-date before taking a snapshot
+    let db;
+    try {
+        let root, project;
+        ({ root, db, project } = await openRepository());
 
-    const db = new sqlite3.Database(dbPath);
-    db.get(`SELECT id FROM projects WHERE name = ?`, [getProjectName()], async (err, project) => {
-        if (err) {
-            spinner.fail(`Error retrieving project: ${err.message}`);
-            return;
-        }
+        spinner.text = 'Tracking files...';
+        await syncTrackedFiles(db, project.id, root); // Ensure files are up-to-date before taking a snapshot
 
-        if (!project) {
-            spinner.fail('No project found for snapshot creation.');
-            return;
+        let { description } = options;
+        if (description === undefined) {
+            spinner.stop(); // Stop spinner before showing prompt
+            ({ description } = await inquirer.prompt([
+                { type: 'input', name: 'description', message: 'Enter snapshot description:' },
+            ]));
         }
-
-        spinner.stop(); // Stop spinner before showing prompt
-        const { description } = await inquirer.prompt([
-            { type: 'input', name: 'description', message: 'Enter snapshot description:' },
-        ]);
         spinner.start('Finalizing snapshot creation...');
 
-        db.run(
-            `INSERT INTO snapshots (project_id, description) VALUES (?, ?)`,
-            [project.id, description],
-            function (err) {
-                if (err) {
-                    spinner.fail(`Error creating snapshot: ${err.message}`);
-                    return;
-                }
-
-                const snapshotId = this.lastID;
-                db.all(`SELECT id, path FROM files WHERE project_id = ?`, [project.id], (err, files) => {
-                    if (err) {
-                        spinner.fail(`Error retrieving files: ${err.message}`);
-                        return;
-                    }
-
-                    files.forEach((file) => {
-                        const filePath = path.join(process.cwd(), file.path);
-                        const content = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf-8') : '';
-                        db.run(
-                            `INSERT INTO snapshot_files (snapshot_id, file_id, content) VALUES (?, ?, ?)`,
-                            [snapshotId, file.id, content]
-                        );
-                    });
-                });
-                spinner.succeed(`Snapshot ${snapshotId} created successfully.`);
-            }
-        );
-        db.close();
-    });
+        const { snapshotId, newBlobs } = await writeSnapshot(db, project.id, root, description);
+
+        spinner.succeed(`Snapshot ${snapshotId} created successfully (${newBlobs} new blob(s) stored).`);
+    } catch (err) {
+        spinner.fail(`Error creating snapshot: ${err.message}`);
+        process.exitCode = 1;
+    } finally {
+        if (db) await close(db);
+    }
 };
 
 // Delete a snapshot
 const deleteSnapshot = async () => {
     console.clear();
     const spinner = ora('Deleting snapshot...').start();
-    const dbPath = getDatabasePath();
-
-    if (!fs.existsSync(dbPath)) {
-        spinner.fail('Project not initialized. Run "svc init" first.');
-        return;
-    }
 
-    const db = new sqlite3.Database(dbPath);
-    db.get(`SELECT id FROM projects WHERE name = ?`, [getProjectName()], async (err, project) => {
-        if (err) {
-            spinner.fail(`Error retrieving project: ${err.message}`);
-            db.close();
-            return;
-        }
+    let db;
+    try {
+        let project;
+        ({ db, project } = await openRepository());
 
-        if (!project) {
-            spinner.fail('No project found for snapshot deletion.');
-            db.close();
+        const snapshots = await loadSnapshots(db, project.id);
+        if (snapshots.length === 0) {
+            spinner.fail('No snapshots available to delete.');
             return;
         }
 
-        db.all(
-            `SELECT id, description FROM snapshots WHERE project_id = ?`,
-            [project.id],
-            async (err, snapshots) => {
-                if (err) {
-                    spinner.fail(`Error retrieving snapshots: ${err.message}`);
-                    db.close();
-                    return;
-                }
-
-                if (snapshots.length === 0) {
-                    spinner.fail('No snapshots available to delete.');
-                    db.close();
-                    return;
-                }
-
-                spinner.stop(); // Stop spinner before showing prompt
-                const { snapshotId } = await inquirer.prompt([
-                    {
-                        type: 'list',
-                        name: 'snapshotId',
-                        message: 'Select snapshot to delete:',
-                        choices: snapshots.map((snap) => ({
-                            name: `${snap.id}: ${snap.description}`,
-                            value: snap.id,
-                        })),
-                    },
-                ]);
-                spinner.start('Finalizing snapshot deletion...');
-
-                db.run(`DELETE FROM snapshot_files WHERE snapshot_id = ?`, [snapshotId], (err) => {
-                    if (err) {
-                        spinner.fail(`Error deleting snapshot files: ${err.message}`);
-                        db.close();
-                        return;
-                    }
-
-                    db.run(`DELETE FROM snapshots WHERE id = ?`, [snapshotId], (err) => {
-                        if (err) {
-                            spinner.fail(`Error deleting snapshot: ${err.message}`);
-                        } else {
-                            spinner.succeed(`Snapshot ${snapshotId} deleted successfully.`);
-                        }
-                        db.close();
-                    });
-                });
-            }
-        );
-    });
+        spinner.stop(); // Stop spinner before showing prompt
+        const { snapshotId } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'snapshotId',
+                message: 'Select snapshot to delete:',
+                choices: snapshots.map((snap) => ({
+                    name: formatSnapshotChoice(snap),
+                    value: snap.id,
+                })),
+            },
+        ]);
+        spinner.start('Finalizing snapshot deletion...');
+
+        const pruned = await removeSnapshot(db, snapshotId);
+        spinner.succeed(`Snapshot ${snapshotId} deleted successfully (${pruned} unreferenced blob(s) removed).`);
+    } catch (err) {
+        spinner.fail(`Error deleting snapshot: ${err.message}`);
+        process.exitCode = 1;
+    } finally {
+        if (db) await close(db);
+    }
 };
 
 // Export functions
-export { initProject, trackFiles, createSnapshot, deleteSnapshot, getDatabasePath, getProjectId };
+export { initProject, trackFiles, createSnapshot, deleteSnapshot, syncTrackedFiles, writeSnapshot };
@@ -0,0 +1,229 @@
+import path from 'path';
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+import { close } from '../../database/query.js';
+import { loadSnapshotFiles } from '../../database/blobs.js';
+import { getHead } from '../../database/branches.js';
+import { createStash, listStashes, findStash, loadStashFiles, removeStash } from '../../database/stashes.js';
+import { renderMerge } from '../../utils/merge.js';
+import { readFileEntry } from '../../utils/metadata.js';
+import { openRepository } from '../../utils/repository.js';
+import { filesByPath, mergePath } from './merge.js';
+import { applySnapshotFile, reportApplied } from './revert.js';
+import { computeStatus } from './status.js';
+
+// Label a stash in lists and prompts
+const formatStash = (stash) =>
+    `stash ${stash.id}: ${stash.message} ${chalk.dim(
+        `(on ${stash.branch || `snapshot ${stash.base_snapshot_id}`}, ${stash.file_count} file(s), ${stash.created_at})`
+    )}`;
+
+// Prompt for a stash, newest first. Resolves with undefined when there are none.
+const promptForStash = async (db, projectId, message) => {
+    const stashes = await listStashes(db, projectId);
+    if (stashes.length === 0) return undefined;
+
+    const { stashId } = await inquirer.prompt([
+        {
+            type: 'list',
+            name: 'stashId',
+            message,
+            choices: stashes.map((stash) => ({ name: formatStash(stash), value: stash.id })),
+        },
+    ]);
+    return stashId;
+};
+
+// Save modified, deleted and (unless `includeUntracked` is false) untracked files into a stash,
+// then return those paths to the head snapshot. Pass `message` to skip the prompt.
+const stashChanges = async (options = {}) => {
+    const { includeUntracked = true } = options;
+
+    let db;
+    try {
+        let root, project;
+        ({ root, db, project } = await openRepository());
+        const head = await getHead(db, project.id);
+
+        const status = await computeStatus(db, project.id, root);
+        const added = status.added.filter((file) => includeUntracked || !file.untracked);
+        const changed = [...added, ...status.modified, ...status.deleted];
+        if (changed.length === 0) {
+            console.log(chalk.yellow('No local changes to save.'));
+            return;
+        }
+        if (!head.snapshotId && status.added.length < changed.length) {
+            console.error(chalk.red('Create a snapshot first: modified files can only be stashed against a snapshot.'));
+            process.exitCode = 1;
+            return;
+        }
+
+        let { message } = options;
+        if (message === undefined) {
+            ({ message } = await inquirer.prompt([
+                { type: 'input', name: 'message', message: 'Enter stash message (optional):' },
+            ]));
+        }
+        message = message || `WIP on ${head.branch || `snapshot ${head.snapshotId}`}`;
+
+        const deleted = new Set(status.deleted.map((file) => file.path));
+        const stashId = await createStash(db, project.id, {
+            message,
+            branch: head.branch,
+            baseSnapshotId: head.snapshotId,
+            files: changed.map((file) => ({
+                path: file.path,
+                ...(deleted.has(file.path) ? { buffer: null } : readFileEntry(path.join(root, file.path))),
+            })),
+        });
+
+        // Put the working tree back to the head snapshot for every stashed path
+        const headFiles = filesByPath(head.snapshotId ? await loadSnapshotFiles(db, head.snapshotId) : []);
+        changed.forEach((file) => {
+            const result = applySnapshotFile(root, headFiles.get(file.path) || { path: file.path, deleted: true });
+            if (!result.success) {
+                reportApplied(file, result);
+                process.exitCode = 1;
+            }
+        });
+
+        console.log(chalk.green(`Saved ${changed.length} changed file(s) as stash ${stashId}: ${message}`));
+    } catch (err) {
+        console.error(chalk.red(`Error stashing changes: ${err.message}`));
+        process.exitCode = 1;
+    } finally {
+        if (db) await close(db);
+    }
+};
+
+// List every stash, newest first
+const showStashes = async () => {
+    let db;
+    try {
+        let project;
+        ({ db, project } = await openRepository());
+
+        const stashes = await listStashes(db, project.id);
+        if (stashes.length === 0) {
+            console.log(chalk.yellow('No stashes found.'));
+            return;
+        }
+        stashes.forEach((stash) => console.log(formatStash(stash)));
+    } catch (err) {
+        console.error(chalk.red(err.message));
+        process.exitCode = 1;
+    } finally {
+        if (db) await close(db);
+    }
+};
+
+// Restore a stash onto the working tree. When the head has moved since the stash was saved,
+// its files are three-way merged with the head snapshot. With `pop`, the stash is dropped
+// afterwards unless the merge left conflicts. Pass `stashId`, or `latest`, to skip the prompt.
+// Paths with uncommitted changes block the apply unless `force` is set.
+const applyStash = async (options = {}) => {
+    const { pop = false, force = false } = options;
+
+    let db;
+    try {
+        let root, project;
+        ({ root, db, project } = await openRepository());
+        const head = await getHead(db, project.id);
+
+        let { stashId } = options;
+        if (stashId === undefined && !options.latest) {
+            stashId = await promptForStash(db, project.id, `Select a stash to ${pop ? 'pop' : 'apply'}:`);
+            if (stashId === undefined) {
+                console.log(chalk.yellow('No stashes found.'));
+                return;
+            }
+        }
+        const stash = await findStash(db, project.id, stashId);
+        const files = await loadStashFiles(db, stash.id);
+
+        if (!force) {
+            const status = await computeStatus(db, project.id, root);
+            const dirty = new Set([...status.added, ...status.modified, ...status.deleted].map((file) => file.path));
+            const blocked = files.filter((file) => dirty.has(file.path));
+            if (blocked.length > 0) {
+                console.error(chalk.red('Your uncommitted changes would be overwritten by the stash:'));
+                blocked.forEach((file) => console.error(chalk.red(`  ${file.path}`)));
+                console.error(chalk.yellow('Stash or snapshot them first, or apply with --force to discard them.'));
+                process.exitCode = 1;
+                return;
+            }
+        }
+
+        let entries = files.map((file) => ({ path: file.path, take: file }));
+        if (stash.base_snapshot_id !== head.snapshotId) {
+            console.log(chalk.yellow(`Stash ${stash.id} was saved on snapshot ${stash.base_snapshot_id}; merging it onto snapshot ${head.snapshotId}.`));
+            const load = async (id) => filesByPath(id ? await loadSnapshotFiles(db, id) : []);
+            const [base, ours] = await Promise.all([load(stash.base_snapshot_id), load(head.snapshotId)]);
+            entries = files
+                .map((file) => mergePath(file.path, base.get(file.path), ours.get(file.path), file.deleted ? undefined : file))
+                .filter(Boolean);
+        }
+
+        const labels = { oursLabel: 'ours (working tree)', theirsLabel: `theirs (stash ${stash.id})` };
+        const conflicts = [];
+        entries.forEach((entry) => {
+            if (entry.conflict) conflicts.push(entry);
+            const file =
+                entry.conflict === 'content'
+                    ? { path: entry.path, content: renderMerge(entry.chunks, labels) }
+                    : { ...entry.take, path: entry.path };
+            const result = applySnapshotFile(root, file);
+            reportApplied(file, result);
+            if (!result.success) process.exitCode = 1;
+        });
+
+        if (conflicts.length > 0) {
+            console.log(chalk.red(`\nConflicts (${conflicts.length}):`));
+            conflicts.forEach((entry) => console.log(chalk.red(`  ${entry.path} (${entry.conflict})`)));
+            console.log(chalk.yellow(`Resolve the conflicts by hand. Stash ${stash.id} was kept.`));
+            process.exitCode = 1;
+            return;
+        }
+
+        if (pop) {
+            await removeStash(db, stash.id);
+            console.log(chalk.green(`Applied and dropped stash ${stash.id}.`));
+        } else {
+            console.log(chalk.green(`Applied stash ${stash.id}.`));
+        }
+    } catch (err) {
+        console.error(chalk.red(`Error applying stash: ${err.message}`));
+        process.exitCode = 1;
+    } finally {
+        if (db) await close(db);
+    }
+};
+
+// Delete a stash without applying it. Pass `stashId`, or `latest`, to skip the prompt.
+const dropStash = async (options = {}) => {
+    let db;
+    try {
+        let project;
+        ({ db, project } = await openRepository());
+
+        let { stashId } = options;
+        if (stashId === undefined && !options.latest) {
+            stashId = await promptForStash(db, project.id, 'Select a stash to drop:');
+            if (stashId === undefined) {
+                console.log(chalk.yellow('No stashes found.'));
+                return;
+            }
+        }
+        const stash = await findStash(db, project.id, stashId);
+
+        await removeStash(db, stash.id);
+        console.log(chalk.green(`Dropped stash ${stash.id}: ${stash.message}`));
+    } catch (err) {
+        console.error(chalk.red(`Error dropping stash: ${err.message}`));
+        process.exitCode = 1;
+    } finally {
+        if (db) await close(db);
+    }
+};
+
+export { stashChanges, showStashes, applyStash, dropStash };
@@ -0,0 +1,131 @@
+import path from 'path';
+import chalk from 'chalk';
+import { all, close } from '../../database/query.js';
+import { getHead } from '../../database/branches.js';
+import { calculateFileHash, calculateContentHash } from '../../utils/hash.js';
+import { loadIgnoreRules } from '../../utils/ignore.js';
+import { metadataChanged } from '../../utils/metadata.js';
+import { walkProject } from '../../utils/walk.js';
+import { openRepository } from '../../utils/repository.js';
+
+// Porcelain status codes, one per category
+const STATUS_CODES = { added: 'A', modified: 'M', deleted: 'D', ignored: '!' };
+
+// Compare the working tree against the head snapshot (or the `files` table when there is none yet)
+const computeStatus = async (db, projectId, projectDir) => {
+    const { files, ignored } = walkProject(projectDir, loadIgnoreRules());
+
+    const tracked = await all(db, `SELECT path, hash, deleted_at FROM files WHERE project_id = ?`, [projectId]);
+    const trackedPaths = new Set(tracked.map((file) => file.path));
+
+    const head = await getHead(db, projectId);
+
+    // Baseline every working file is compared with: its hash, and the mode and symlink target
+    // recorded by the head snapshot (the `files` table records neither)
+    const baseline = new Map();
+    if (head.snapshotId) {
+        const rows = await all(
+            db,
+            `SELECT f.path, sf.blob_hash, sf.content, sf.mode, sf.symlink_target
+             FROM snapshot_files sf
+             INNER JOIN files f ON sf.file_id = f.id
+             WHERE sf.snapshot_id = ? AND COALESCE(sf.deleted, 0) = 0`,
+            [head.snapshotId]
+        );
+        rows.forEach(({ path: filePath, blob_hash: blobHash, content, ...metadata }) =>
+            baseline.set(filePath, { ...metadata, hash: blobHash || calculateContentHash(content || '') })
+        );
+    } else {
+        tracked.filter((file) => !file.deleted_at).forEach((file) => baseline.set(file.path, { hash: file.hash }));
+    }
+
+    const status = {
+        branch: head.branch,
+        snapshotId: head.snapshotId,
+        mergeSnapshotId: head.mergeSnapshotId,
+        added: [],
+        modified: [],
+        deleted: [],
+        ignored: ignored.map((filePath) => ({ path: filePath })),
+    };
+    files.forEach((filePath) => {
+        if (!baseline.has(filePath)) {
+            status.added.push({ path: filePath, untracked: !trackedPaths.has(filePath) });
+        } else {
+            const entry = baseline.get(filePath);
+            const workingPath = path.join(projectDir, filePath);
+            if (entry.hash !== calculateFileHash(workingPath) || (head.snapshotId && metadataChanged(workingPath, entry))) {
+                status.modified.push({ path: filePath });
+            }
+        }
+    });
+
+    const present = new Set(files);
+    baseline.forEach((entry, filePath) => {
+        if (!present.has(filePath)) status.deleted.push({ path: filePath });
+    });
+
+    return status;
+};
+
+// Paths whose uncommitted changes a checkout would overwrite. Untracked files are left alone.
+const uncommittedChanges = (status) => [
+    ...status.added.filter((file) => !file.untracked),
+    ...status.modified,
+    ...status.deleted,
+];
+
+// Print the status for humans
+const printStatus = (status) => {
+    if (status.branch) console.log(`On branch ${chalk.cyan(status.branch)}`);
+    if (status.mergeSnapshotId) {
+        console.log(chalk.yellow(`Merging snapshot ${status.mergeSnapshotId}. Create a snapshot to conclude the merge.`));
+    }
+    const base = status.snapshotId ? `snapshot ${status.snapshotId}` : 'tracked files (no snapshots yet)';
+    console.log(chalk.bold(`Changes since ${base}:\n`));
+
+    const sections = [
+        ['added', 'Added', chalk.green],
+        ['modified', 'Modified', chalk.yellow],
+        ['deleted', 'Deleted', chalk.red],
+        ['ignored', 'Ignored', chalk.gray],
+    ];
+
+    if (['added', 'modified', 'deleted'].every((type) => status[type].length === 0)) {
+        console.log(chalk.green('Working tree clean.\n'));
+    }
+
+    sections.forEach(([type, label, color]) => {
+        if (status[type].length === 0) return;
+        console.log(chalk.bold(`${label} (${status[type].length}):`));
+        status[type].forEach((file) => {
+            console.log(color(`  ${file.path}${file.untracked ? chalk.dim(' (untracked)') : ''}`));
+        });
+        console.log('');
+    });
+};
+
+// Show what changed in the working tree. `porcelain` prints stable `<code> <path>` lines for scripts.
+const showStatus = async (options = {}) => {
+    let db;
+    try {
+        let root, project;
+        ({ root, db, project } = await openRepository());
+
+        const status = await computeStatus(db, project.id, root);
+        if (options.porcelain) {
+            Object.entries(STATUS_CODES).forEach(([type, code]) => {
+                status[type].forEach((file) => console.log(`${code} ${file.path}`));
+            });
+        } else {
+            printStatus(status);
+        }
+    } catch (err) {
+        console.error(chalk.red(`Error computing status: ${err.message}`));
+        process.exitCode = 1;
+    } finally {
+        if (db) await close(db);
+    }
+};
+
+export { computeStatus, uncommittedChanges, showStatus };
@@ -0,0 +1,144 @@
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+import { close } from '../../database/query.js';
+import { loadSnapshots, resolveSnapshotRef } from '../../database/snapshots.js';
+import { listTags, setTag, removeTag } from '../../database/tags.js';
+import { openRepository } from '../../utils/repository.js';
+
+// Label a snapshot in selection lists, with the branches and tags pointing at it
+const formatSnapshotChoice = (snap) => {
+    const refs = [...(snap.branches || []), ...(snap.tags || [])];
+    const suffix = refs.length > 0 ? ` ${chalk.magenta(`[${refs.join(', ')}]`)}` : '';
+    return `${snap.id}: ${snap.description}${suffix} (${snap.created_at})`;
+};
+
+// Prompt for a snapshot, newest first
+const promptForSnapshot = async (snapshots, message) => {
+    const { snapshotId } = await inquirer.prompt([
+        {
+            type: 'list',
+            name: 'snapshotId',
+            message,
+            choices: [...snapshots].reverse().map((snap) => ({ name: formatSnapshotChoice(snap), value: snap.id })),
+        },
+    ]);
+    return snapshotId;
+};
+
+// Prompt for an existing tag
+const promptForTag = async (tags, message) => {
+    const { name } = await inquirer.prompt([
+        {
+            type: 'list',
+            name: 'name',
+            message,
+            choices: tags.map((tag) => ({ name: `${tag.name} → ${tag.snapshot_id}: ${tag.description}`, value: tag.name })),
+        },
+    ]);
+    return name;
+};
+
+// Create a tag, or move an existing one when `move` is set. Pass `name` and `snapshot`
+// (an id or another tag) to skip the prompts; without `snapshot` the latest snapshot is tagged.
+const tagSnapshot = async (options = {}) => {
+    const { move = false } = options;
+
+    let db;
+    try {
+        let project;
+        ({ db, project } = await openRepository());
+
+        const snapshots = await loadSnapshots(db, project.id);
+        if (snapshots.length === 0) {
+            console.log(chalk.yellow('No snapshots found. Create a snapshot before tagging it.'));
+            process.exitCode = 1;
+            return;
+        }
+
+        let { name, snapshot } = options;
+        if (name === undefined) {
+            if (move) {
+                const tags = await listTags(db, project.id);
+                if (tags.length === 0) {
+                    console.log(chalk.yellow('No tags found.'));
+                    return;
+                }
+                name = await promptForTag(tags, 'Select a tag to move:');
+            } else {
+                ({ name } = await inquirer.prompt([
+                    { type: 'input', name: 'name', message: 'Enter tag name (e.g., v1.2.0):' },
+                ]));
+            }
+            snapshot = await promptForSnapshot(snapshots, `Select the snapshot "${name}" should point to:`);
+        }
+
+        const snapshotId =
+            snapshot === undefined ? snapshots[snapshots.length - 1].id : await resolveSnapshotRef(db, project.id, snapshot);
+        const previous = await setTag(db, project.id, name, snapshotId, { move });
+
+        if (move) {
+            console.log(chalk.green(`Moved tag "${name}" from snapshot ${previous} to snapshot ${snapshotId}.`));
+        } else {
+            console.log(chalk.green(`Tagged snapshot ${snapshotId} as "${name}".`));
+        }
+    } catch (err) {
+        console.error(chalk.red(`Error tagging snapshot: ${err.message}`));
+        process.exitCode = 1;
+    } finally {
+        if (db) await close(db);
+    }
+};
+
+// Delete a tag. The snapshot it pointed at is kept. Pass `name` to skip the prompt.
+const deleteTag = async (options = {}) => {
+    let db;
+    try {
+        let project;
+        ({ db, project } = await openRepository());
+
+        let { name } = options;
+        if (name === undefined) {
+            const tags = await listTags(db, project.id);
+            if (tags.length === 0) {
+                console.log(chalk.yellow('No tags found.'));
+                return;
+            }
+            name = await promptForTag(tags, 'Select a tag to delete:');
+        }
+
+        const snapshotId = await removeTag(db, project.id, name);
+        console.log(chalk.green(`Deleted tag "${name}" (was snapshot ${snapshotId}).`));
+    } catch (err) {
+        console.error(chalk.red(`Error deleting tag: ${err.message}`));
+        process.exitCode = 1;
+    } finally {
+        if (db) await close(db);
+    }
+};
+
+// List every tag with the snapshot it points at
+const showTags = async () => {
+    let db;
+    try {
+        let project;
+        ({ db, project } = await openRepository());
+
+        const tags = await listTags(db, project.id);
+        if (tags.length === 0) {
+            console.log(chalk.yellow('No tags found.'));
+            return;
+        }
+
+        const width = Math.max(...tags.map((tag) => tag.name.length));
+        tags.forEach((tag) => {
+            console.log(`${chalk.magenta(tag.name.padEnd(width))}  ${chalk.cyan(tag.snapshot_id)}: ${tag.description}`);
+        });
+    } catch (err) {
+        console.error(chalk.red(err.message));
+        process.exitCode = 1;
+    } finally {
+        if (db) await close(db);
+    }
+};
+
+export { formatSnapshotChoice, promptForSnapshot, tagSnapshot, deleteTag, showTags };
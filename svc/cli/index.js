@@ -3,21 +3,23 @@
 import chalk from 'chalk';
 import inquirer from 'inquirer';
 import readline from 'readline';
-import {
-    initProject,
-    trackFiles,
-    createSnapshot,
-    deleteSnapshot,
-    getDatabasePath,
-    getProjectId,
-} from './commands/snapshot.js';
+import { initProject, trackFiles, createSnapshot, deleteSnapshot } from './commands/snapshot.js';
 import { revertToSnapshot, selectiveRestore } from './commands/revert.js';
-import diffSnapshots from './commands/diff.js';
-import { showHistory, listSnapshots } from './commands/history.js';
+import diffSnapshots, { diffWorkingTree } from './commands/diff.js';
+import { showHistory, showFileHistory, listSnapshots } from './commands/history.js';
 import { editIgnoreRules, previewIgnoredFiles } from '../utils/ignore.js';
 import monitorFiles from './commands/monitor.js';
 import { getSecretKey, regenerateSecretKey } from './commands/collaboration.js';
-import fs from 'fs';
+import { recompressSnapshots, showSchemaVersion } from './commands/maintenance.js';
+import { showStatus } from './commands/status.js';
+import { tagSnapshot, deleteTag, showTags } from './commands/tag.js';
+import { branchFromSnapshot, switchBranch, deleteBranch, showBranches } from './commands/branch.js';
+import { mergeSnapshots } from './commands/merge.js';
+import { stashChanges, showStashes, applyStash, dropStash } from './commands/stash.js';
+import { showFile } from './commands/show.js';
+import { applyPatchFile } from './commands/patch.js';
+import { runCommand } from './argv.js';
+import { findRepositoryRoot, getProjectId } from '../utils/repository.js';
 
 // Helper: Pause for user input
 const pause = async () => {
@@ -26,9 +28,9 @@ const pause = async () => {
 };
 
 // Helper: Handle exit signals gracefully
-const handleExit = (message = 'Exiting application...') => {
+const handleExit = (message = 'Exiting application...', code = 0) => {
     console.log(chalk.yellow(`\n${message}`));
-    process.exit(0);
+    process.exit(code);
 };
 
 // Block input to prevent interference
@@ -60,13 +62,17 @@ const mainMenu = async () => {
                 choices: [
                     { name: 'Initialize Project', value: 'init' },
                     { name: 'Track Files', value: 'track' },
+                    { name: 'View Status', value: 'status' },
                     { name: 'Snapshot Management', value: 'snapshot' },
+                    { name: 'Branches', value: 'branch' },
                     { name: 'Revert Options', value: 'revert' },
                     { name: 'View Diff', value: 'diff' },
                     { name: 'View History', value: 'history' },
+                    { name: 'View File History', value: 'file-history' },
                     { name: 'Ignore File Management', value: 'ignore' },
                     { name: 'Monitor Files (Real-Time)', value: 'monitor' },
                     { name: 'Collaboration Features', value: 'collaboration' },
+                    { name: 'Database Maintenance', value: 'maintenance' },
                     { name: 'Exit', value: 'exit' },
                 ],
             },
@@ -80,18 +86,27 @@ const mainMenu = async () => {
             case 'track':
                 await taskHandler('Track Files', trackFiles);
                 break;
+            case 'status':
+                await taskHandler('View Status', showStatus);
+                break;
             case 'snapshot':
                 await snapshotMenu();
                 break;
+            case 'branch':
+                await branchMenu();
+                break;
             case 'revert':
                 await revertMenu();
                 break;
             case 'diff':
-                await taskHandler('View Diff', diffSnapshots);
+                await diffMenu();
                 break;
             case 'history':
                 await taskHandler('View Snapshot History', showHistory);
                 break;
+            case 'file-history':
+                await taskHandler('View File History', showFileHistory);
+                break;
             case 'ignore':
                 await ignoreMenu();
                 break;
@@ -101,6 +116,9 @@ const mainMenu = async () => {
             case 'collaboration':
                 await collaborationMenu();
                 break;
+            case 'maintenance':
+                await maintenanceMenu();
+                break;
             case 'exit':
                 handleExit();
                 break;
@@ -182,6 +200,9 @@ const snapshotMenu = async () => {
                     { name: 'Create Snapshot', value: 'create' },
                     { name: 'Delete Snapshot', value: 'delete' },
                     { name: 'View Snapshots', value: 'list' },
+                    { name: 'View File from Snapshot', value: 'show' },
+                    { name: 'Manage Tags', value: 'tags' },
+                    { name: 'Stash Working Changes', value: 'stash' },
                     { name: 'Back', value: 'back' },
                 ],
             },
@@ -201,6 +222,238 @@ const snapshotMenu = async () => {
                 await listSnapshots();
                 await pause();
                 break;
+            case 'show':
+                await showFile();
+                await pause();
+                break;
+            case 'tags':
+                await tagMenu();
+                break;
+            case 'stash':
+                await stashMenu();
+                break;
+            case 'back':
+                back = true;
+                break;
+            default:
+                console.log(chalk.red('Invalid choice.'));
+        }
+    }
+};
+
+// Tag management menu
+const tagMenu = async () => {
+    let back = false;
+
+    while (!back) {
+        console.clear();
+        console.log(chalk.bold.magenta('\nTag Management\n'));
+
+        const rl = blockInput();
+        const { action } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'action',
+                message: 'Choose an action:',
+                choices: [
+                    { name: 'Tag a Snapshot', value: 'create' },
+                    { name: 'Move a Tag', value: 'move' },
+                    { name: 'Delete a Tag', value: 'delete' },
+                    { name: 'View Tags', value: 'list' },
+                    { name: 'Back', value: 'back' },
+                ],
+            },
+        ]);
+        unblockInput(rl);
+
+        switch (action) {
+            case 'create':
+                await tagSnapshot();
+                await pause();
+                break;
+            case 'move':
+                await tagSnapshot({ move: true });
+                await pause();
+                break;
+            case 'delete':
+                await deleteTag();
+                await pause();
+                break;
+            case 'list':
+                await showTags();
+                await pause();
+                break;
+            case 'back':
+                back = true;
+                break;
+            default:
+                console.log(chalk.red('Invalid choice.'));
+        }
+    }
+};
+
+// Stash menu, shared by the Snapshot Management and Revert Options menus
+const stashMenu = async () => {
+    let back = false;
+
+    while (!back) {
+        console.clear();
+        console.log(chalk.bold.yellow('\nStash Working Changes\n'));
+
+        const rl = blockInput();
+        const { action } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'action',
+                message: 'Choose an action:',
+                choices: [
+                    { name: 'Stash Changes', value: 'push' },
+                    { name: 'Apply Stash', value: 'apply' },
+                    { name: 'Pop Stash (apply and drop)', value: 'pop' },
+                    { name: 'Drop Stash', value: 'drop' },
+                    { name: 'View Stashes', value: 'list' },
+                    { name: 'Back', value: 'back' },
+                ],
+            },
+        ]);
+        unblockInput(rl);
+
+        switch (action) {
+            case 'push':
+                await stashChanges();
+                await pause();
+                break;
+            case 'apply':
+                await applyStash();
+                await pause();
+                break;
+            case 'pop':
+                await applyStash({ pop: true });
+                await pause();
+                break;
+            case 'drop':
+                await dropStash();
+                await pause();
+                break;
+            case 'list':
+                await showStashes();
+                await pause();
+                break;
+            case 'back':
+                back = true;
+                break;
+            default:
+                console.log(chalk.red('Invalid choice.'));
+        }
+    }
+};
+
+// Branch menu
+const branchMenu = async () => {
+    let back = false;
+
+    while (!back) {
+        console.clear();
+        console.log(chalk.bold.cyan('\nBranches\n'));
+
+        const rl = blockInput();
+        const { action } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'action',
+                message: 'Choose an action:',
+                choices: [
+                    { name: 'Create Branch', value: 'create' },
+                    { name: 'Switch Branch', value: 'switch' },
+                    { name: 'Merge into Current Branch', value: 'merge' },
+                    { name: 'Delete Branch', value: 'delete' },
+                    { name: 'View Branches', value: 'list' },
+                    { name: 'Back', value: 'back' },
+                ],
+            },
+        ]);
+        unblockInput(rl);
+
+        switch (action) {
+            case 'create':
+                await branchFromSnapshot();
+                await pause();
+                break;
+            case 'switch':
+                await switchBranch();
+                await pause();
+                break;
+            case 'merge':
+                await mergeSnapshots({ interactive: true });
+                await pause();
+                break;
+            case 'delete':
+                await deleteBranch();
+                await pause();
+                break;
+            case 'list':
+                await showBranches();
+                await pause();
+                break;
+            case 'back':
+                back = true;
+                break;
+            default:
+                console.log(chalk.red('Invalid choice.'));
+        }
+    }
+};
+
+// Diff menu
+const diffMenu = async () => {
+    let back = false;
+
+    while (!back) {
+        console.clear();
+        console.log(chalk.bold.yellow('\nView Diff\n'));
+
+        const rl = blockInput();
+        const { action } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'action',
+                message: 'Choose what to compare:',
+                choices: [
+                    { name: 'Working Tree vs Latest Snapshot', value: 'latest' },
+                    { name: 'Working Tree vs a Snapshot', value: 'working' },
+                    { name: 'Two Snapshots', value: 'snapshots' },
+                    { name: 'Export Patch of Working Changes', value: 'patch-working' },
+                    { name: 'Export Patch Between Snapshots', value: 'patch-snapshots' },
+                    { name: 'Export HTML Report Between Snapshots', value: 'html' },
+                    { name: 'Apply Patch', value: 'apply' },
+                    { name: 'Back', value: 'back' },
+                ],
+            },
+        ]);
+        unblockInput(rl);
+
+        switch (action) {
+            case 'latest':
+                await taskHandler('View Diff', () => diffWorkingTree({ latest: true }));
+                break;
+            case 'working':
+                await taskHandler('View Diff', diffWorkingTree);
+                break;
+            case 'snapshots':
+                await taskHandler('View Diff', diffSnapshots);
+                break;
+            case 'patch-working':
+                await taskHandler('Export Patch', () => diffWorkingTree({ latest: true, format: 'unified' }));
+                break;
+            case 'patch-snapshots':
+                await taskHandler('Export Patch', () => diffSnapshots({ format: 'unified' }));
+                break;
+            case 'html':
+                await taskHandler('Export HTML Report', () => diffSnapshots({ format: 'html' }));
+                break;
+            case 'apply':
+                await taskHandler('Apply Patch', applyPatchFile);
+                break;
             case 'back':
                 back = true;
                 break;
@@ -226,7 +479,10 @@ const revertMenu = async () => {
                 message: 'Choose an action:',
                 choices: [
                     { name: 'Revert to Snapshot', value: 'revert' },
+                    { name: 'Exact Revert (Remove Files Not in Snapshot)', value: 'exact' },
+                    { name: 'Preview Revert (Dry Run)', value: 'preview' },
                     { name: 'Selective Revert', value: 'selective' },
+                    { name: 'Stash Working Changes', value: 'stash' },
                     { name: 'Back', value: 'back' },
                 ],
             },
@@ -238,10 +494,62 @@ const revertMenu = async () => {
                 await revertToSnapshot();
                 await pause();
                 break;
+            case 'exact':
+                await revertToSnapshot({ exact: true });
+                await pause();
+                break;
+            case 'preview':
+                await revertToSnapshot({ dryRun: true });
+                await pause();
+                break;
             case 'selective':
                 await selectiveRestore();
                 await pause();
                 break;
+            case 'stash':
+                await stashMenu();
+                break;
+            case 'back':
+                back = true;
+                break;
+            default:
+                console.log(chalk.red('Invalid choice.'));
+        }
+    }
+};
+
+// Database maintenance menu
+const maintenanceMenu = async () => {
+    let back = false;
+
+    while (!back) {
+        console.clear();
+        console.log(chalk.bold.gray('\nDatabase Maintenance\n'));
+
+        const rl = blockInput();
+        const { action } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'action',
+                message: 'Choose an action:',
+                choices: [
+                    { name: 'Show Schema Version', value: 'schema' },
+                    { name: 'Recompress Stored Snapshots', value: 'recompress' },
+                    { name: 'Back', value: 'back' },
+                ],
+            },
+        ]);
+        unblockInput(rl);
+
+        switch (action) {
+            case 'schema':
+                await showSchemaVersion();
+                await pause();
+                break;
+            case 'recompress':
+                await recompressSnapshots();
+                await pause();
+                break;
             case 'back':
                 back = true;
                 break;
@@ -253,8 +561,7 @@ const revertMenu = async () => {
 
 // Collaboration menu
 const collaborationMenu = async () => {
-    const dbPath = getDatabasePath();
-    if (!fs.existsSync(dbPath)) {
+    if (!findRepositoryRoot()) {
         console.log(chalk.red('No project initialized. Run "Initialize Project" first.'));
         await pause();
         return;
@@ -322,8 +629,13 @@ const collaborationMenu = async () => {
 process.on('SIGINT', () => handleExit('Interrupt signal received. Exiting gracefully.'));
 process.on('uncaughtException', (err) => {
     console.error(chalk.red(`Uncaught Exception: ${err.message}`));
-    handleExit('Unexpected error occurred. Exiting.');
+    handleExit('Unexpected error occurred. Exiting.', 1);
 });
 
-// Start CLI
-mainMenu();
+// Start CLI: run a subcommand when arguments are given, otherwise open the menu
+const args = process.argv.slice(2);
+if (args.length > 0) {
+    runCommand(args).then((code) => process.exit(code));
+} else {
+    mainMenu();
+}
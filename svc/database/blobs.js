@@ -0,0 +1,160 @@
+import zlib from 'zlib';
+import { run, get, all } from './query.js';
+import { isBinaryBuffer } from '../utils/binary.js';
+
+// Compression codecs for stored contents. The codec is recorded per blob row,
+// so rows written before compression existed (codec `none`) keep working.
+const codecs = {
+    none: { compress: (buffer) => buffer, decompress: (buffer) => buffer },
+    gzip: { compress: (buffer) => zlib.gzipSync(buffer), decompress: (buffer) => zlib.gunzipSync(buffer) },
+    brotli: {
+        compress: (buffer) => zlib.brotliCompressSync(buffer),
+        decompress: (buffer) => zlib.brotliDecompressSync(buffer),
+    },
+};
+
+const DEFAULT_CODEC = 'gzip';
+
+// Encode raw bytes for storage. Falls back to `none` when compression does not save space;
+// uncompressed text is kept as TEXT for readability, everything else as a BLOB.
+const encodeBlob = (buffer, binary, codecName = DEFAULT_CODEC) => {
+    const codec = codecs[codecName];
+    if (!codec) throw new Error(`Unknown compression codec "${codecName}".`);
+
+    const compressed = codec.compress(buffer);
+    if (codecName !== 'none' && compressed.length < buffer.length) {
+        return { content: compressed, codec: codecName };
+    }
+    return { content: binary ? buffer : buffer.toString('utf-8'), codec: 'none' };
+};
+
+// Decode a stored blob back to a Buffer (binary) or string (text)
+const decodeBlob = ({ content, codec = 'none', is_binary: binary }) => {
+    if (content === null || content === undefined) return content;
+
+    const decoder = codecs[codec || 'none'];
+    if (!decoder) throw new Error(`Unknown compression codec "${codec}".`);
+
+    const raw = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf-8');
+    const buffer = decoder.decompress(raw);
+    return binary ? buffer : buffer.toString('utf-8');
+};
+
+// Store a file's raw bytes under its SHA-256 hash, once per unique hash.
+// Binary content is flagged so it is always restored byte-for-byte.
+const storeBlob = async (db, hash, buffer, codecName = DEFAULT_CODEC) => {
+    const existing = await get(db, `SELECT hash FROM blobs WHERE hash = ?`, [hash]);
+    if (existing) return false;
+
+    const binary = isBinaryBuffer(buffer);
+    const { content, codec } = encodeBlob(buffer, binary, codecName);
+    await run(db, `INSERT INTO blobs (hash, content, size, is_binary, codec) VALUES (?, ?, ?, ?, ?)`, [
+        hash,
+        content,
+        buffer.length,
+        binary ? 1 : 0,
+        codec,
+    ]);
+    return true;
+};
+
+// Remove blobs no longer referenced by any snapshot or stash
+const pruneBlobs = (db) =>
+    run(
+        db,
+        `DELETE FROM blobs WHERE hash NOT IN (
+             SELECT blob_hash FROM snapshot_files WHERE blob_hash IS NOT NULL
+             UNION
+             SELECT blob_hash FROM stash_files WHERE blob_hash IS NOT NULL
+         )`
+    );
+
+// Load the files of one or more snapshots, resolving content through the blob store.
+// Rows written before the blob store existed keep their content inline in `snapshot_files`,
+// and are binary when SQLite hands that back as a Buffer. Tombstones (`deleted`) mark paths
+// that were absent when the snapshot was taken.
+// `mode`, `mtime_ms` and `symlink_target` are null where they were not recorded.
+const loadSnapshotFiles = async (db, snapshotIds) => {
+    const ids = [].concat(snapshotIds);
+    const rows = await all(
+        db,
+        `SELECT sf.snapshot_id, f.path, sf.blob_hash, sf.content AS inline_content, COALESCE(sf.deleted, 0) AS deleted,
+                sf.mode, sf.mtime_ms, sf.symlink_target, b.content, b.codec, COALESCE(b.is_binary, 0) AS is_binary
+         FROM snapshot_files sf
+         INNER JOIN files f ON sf.file_id = f.id
+         LEFT JOIN blobs b ON sf.blob_hash = b.hash
+         WHERE sf.snapshot_id IN (${ids.map(() => '?').join(', ')})`,
+        ids
+    );
+
+    return rows.map(({ inline_content: inlineContent, codec, ...row }) => ({
+        ...row,
+        is_binary: Boolean(row.is_binary) || (!row.blob_hash && Buffer.isBuffer(inlineContent)),
+        deleted: Boolean(row.deleted),
+        content: row.deleted ? null : row.blob_hash ? decodeBlob({ ...row, codec }) : inlineContent,
+    }));
+};
+
+// Load snapshot file rows without decoding their blobs, for scanning history cheaply. Pass `snapshotId`
+// for one snapshot's files, or `projectId` and `path` for one path across snapshots. `size` is the
+// content length in bytes; rows stored before the blob store keep their inline `content`, the others
+// get theirs from `loadBlobContents` once it is known which rows are needed.
+const loadSnapshotFileRows = async (db, { snapshotId, projectId, path }) => {
+    const conditions = [];
+    const params = [];
+    if (snapshotId !== undefined) {
+        conditions.push('sf.snapshot_id = ?');
+        params.push(snapshotId);
+    }
+    if (path !== undefined) {
+        conditions.push('f.project_id = ? AND f.path = ?');
+        params.push(projectId, path);
+    }
+
+    const rows = await all(
+        db,
+        `SELECT sf.snapshot_id, f.path, sf.blob_hash, sf.content AS inline_content, COALESCE(sf.deleted, 0) AS deleted,
+                sf.mode, sf.mtime_ms, sf.symlink_target, b.size, COALESCE(b.is_binary, 0) AS is_binary
+         FROM snapshot_files sf
+         INNER JOIN files f ON sf.file_id = f.id
+         LEFT JOIN blobs b ON sf.blob_hash = b.hash
+         WHERE ${conditions.join(' AND ')}`,
+        params
+    );
+
+    return rows.map(({ inline_content: inlineContent, ...row }) => {
+        const inline = !row.blob_hash && !row.deleted;
+        return {
+            ...row,
+            is_binary: Boolean(row.is_binary) || (inline && Buffer.isBuffer(inlineContent)),
+            deleted: Boolean(row.deleted),
+            size: inline ? Buffer.byteLength(inlineContent || '') : row.size || 0,
+            content: inline ? inlineContent : undefined,
+        };
+    });
+};
+
+// Resolve with the decoded contents of the given blobs, keyed by hash
+const loadBlobContents = async (db, hashes) => {
+    const unique = [...new Set(hashes)];
+    if (unique.length === 0) return new Map();
+
+    const rows = await all(
+        db,
+        `SELECT hash, content, codec, is_binary FROM blobs WHERE hash IN (${unique.map(() => '?').join(', ')})`,
+        unique
+    );
+    return new Map(rows.map((row) => [row.hash, decodeBlob(row)]));
+};
+
+export {
+    codecs,
+    DEFAULT_CODEC,
+    encodeBlob,
+    decodeBlob,
+    storeBlob,
+    pruneBlobs,
+    loadSnapshotFiles,
+    loadSnapshotFileRows,
+    loadBlobContents,
+};
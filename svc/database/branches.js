@@ -0,0 +1,128 @@
+import { run, get, all } from './query.js';
+import { refNameProblem } from './tags.js';
+
+// Branch every new project starts on
+const DEFAULT_BRANCH = 'main';
+
+// Raised when a branch name is malformed, missing, already taken or in use
+class BranchError extends Error {}
+
+// Throw unless `name` is usable as a branch
+const validateBranchName = (name) => {
+    const problem = refNameProblem(name);
+    if (problem) throw new BranchError(`Invalid branch name "${name}": ${problem}`);
+};
+
+// Resolve with every branch of a project, sorted by name
+const listBranches = (db, projectId) =>
+    all(
+        db,
+        `SELECT b.name, b.head_snapshot_id, b.created_at, s.description
+         FROM branches b
+         LEFT JOIN snapshots s ON b.head_snapshot_id = s.id
+         WHERE b.project_id = ?
+         ORDER BY b.name ASC`,
+        [projectId]
+    );
+
+// Resolve with one branch, or undefined
+const findBranch = (db, projectId, name) =>
+    get(db, `SELECT name, head_snapshot_id FROM branches WHERE project_id = ? AND name = ?`, [projectId, name]);
+
+// Create a branch pointing at `snapshotId` (null for a branch with no snapshots yet)
+const createBranch = async (db, projectId, name, snapshotId) => {
+    validateBranchName(name);
+    if (await findBranch(db, projectId, name)) throw new BranchError(`Branch "${name}" already exists.`);
+
+    await run(db, `INSERT INTO branches (project_id, name, head_snapshot_id) VALUES (?, ?, ?)`, [
+        projectId,
+        name,
+        snapshotId,
+    ]);
+};
+
+// Delete a branch. Its snapshots are kept; the current branch cannot be deleted.
+const removeBranch = async (db, projectId, name) => {
+    const branch = await findBranch(db, projectId, name);
+    if (!branch) throw new BranchError(`Branch "${name}" does not exist.`);
+
+    const head = await getHead(db, projectId);
+    if (head.branch === name) throw new BranchError(`Cannot delete the current branch "${name}". Switch away first.`);
+
+    await run(db, `DELETE FROM branches WHERE project_id = ? AND name = ?`, [projectId, name]);
+    return branch.head_snapshot_id;
+};
+
+// Resolve with the current branch name, the snapshot the working tree is based on and
+// the snapshot being merged into it, if a merge is in progress
+const getHead = async (db, projectId) => {
+    const row = await get(db, `SELECT current_branch, head_snapshot_id, merge_snapshot_id FROM projects WHERE id = ?`, [
+        projectId,
+    ]);
+    return {
+        branch: row ? row.current_branch : null,
+        snapshotId: row ? row.head_snapshot_id : null,
+        mergeSnapshotId: row ? row.merge_snapshot_id : null,
+    };
+};
+
+// Record which snapshot the working tree is based on, optionally switching the current branch.
+// Moving the head abandons any merge in progress.
+const setHead = async (db, projectId, snapshotId, branch) => {
+    if (branch === undefined) {
+        await run(db, `UPDATE projects SET head_snapshot_id = ?, merge_snapshot_id = NULL WHERE id = ?`, [
+            snapshotId,
+            projectId,
+        ]);
+    } else {
+        await run(db, `UPDATE projects SET head_snapshot_id = ?, current_branch = ?, merge_snapshot_id = NULL WHERE id = ?`, [
+            snapshotId,
+            branch,
+            projectId,
+        ]);
+    }
+};
+
+// Record the snapshot merged into the working tree; the next snapshot takes it as a second parent
+const setMergeHead = (db, projectId, snapshotId) =>
+    run(db, `UPDATE projects SET merge_snapshot_id = ? WHERE id = ?`, [snapshotId, projectId]);
+
+// Link a freshly created snapshot into the lineage: its first parent is the current head,
+// followed by the snapshot being merged, if any. The current branch and the head then move to it,
+// unless `moveHead` is false, which leaves the snapshot as a side record off the head.
+const attachSnapshot = async (db, projectId, snapshotId, { moveHead = true } = {}) => {
+    const head = await getHead(db, projectId);
+    const parents = [head.snapshotId, head.mergeSnapshotId].filter((id, index, ids) => id && ids.indexOf(id) === index);
+
+    for (const [position, parentId] of parents.entries()) {
+        await run(db, `INSERT INTO snapshot_parents (snapshot_id, parent_id, position) VALUES (?, ?, ?)`, [
+            snapshotId,
+            parentId,
+            position,
+        ]);
+    }
+    if (!moveHead) return parents;
+    if (head.branch) {
+        await run(db, `UPDATE branches SET head_snapshot_id = ? WHERE project_id = ? AND name = ?`, [
+            snapshotId,
+            projectId,
+            head.branch,
+        ]);
+    }
+    await setHead(db, projectId, snapshotId);
+    return parents;
+};
+
+export {
+    DEFAULT_BRANCH,
+    BranchError,
+    validateBranchName,
+    listBranches,
+    findBranch,
+    createBranch,
+    removeBranch,
+    getHead,
+    setHead,
+    setMergeHead,
+    attachSnapshot,
+};
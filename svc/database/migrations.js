@@ -0,0 +1,284 @@
+import { run, get, all, transaction } from './query.js';
+
+// Raised when the database was written by a newer CLI than this one
+class SchemaVersionError extends Error {}
+
+// Add a column unless it already exists. Databases created before versioning
+// may already have columns that were added on demand.
+const addColumn = async (db, table, column, definition) => {
+    const columns = await all(db, `PRAGMA table_info(${table})`);
+    if (!columns.some(({ name }) => name === column)) {
+        await run(db, `ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+};
+
+// Ordered schema migrations. Append new entries; never edit one that has shipped.
+const migrations = [
+    {
+        version: 1,
+        description: 'Create projects, files, snapshots and snapshot_files tables',
+        up: async (db) => {
+            await run(
+                db,
+                `CREATE TABLE IF NOT EXISTS projects (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    name TEXT NOT NULL UNIQUE,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )`
+            );
+            await run(
+                db,
+                `CREATE TABLE IF NOT EXISTS files (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    project_id INTEGER,
+                    path TEXT NOT NULL UNIQUE,
+                    hash TEXT,
+                    content TEXT,
+                    modified_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (project_id) REFERENCES projects(id)
+                )`
+            );
+            await run(
+                db,
+                `CREATE TABLE IF NOT EXISTS snapshots (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    project_id INTEGER,
+                    description TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (project_id) REFERENCES projects(id)
+                )`
+            );
+            await run(
+                db,
+                `CREATE TABLE IF NOT EXISTS snapshot_files (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    snapshot_id INTEGER,
+                    file_id INTEGER,
+                    content TEXT,
+                    FOREIGN KEY (snapshot_id) REFERENCES snapshots(id),
+                    FOREIGN KEY (file_id) REFERENCES files(id)
+                )`
+            );
+        },
+    },
+    {
+        version: 2,
+        description: 'Add projects.secret_key',
+        up: (db) => addColumn(db, 'projects', 'secret_key', 'TEXT'),
+    },
+    {
+        version: 3,
+        description: 'Add content-addressable blob store',
+        up: async (db) => {
+            await run(
+                db,
+                `CREATE TABLE IF NOT EXISTS blobs (
+                    hash TEXT PRIMARY KEY,
+                    content BLOB,
+                    size INTEGER,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )`
+            );
+            await addColumn(db, 'snapshot_files', 'blob_hash', 'TEXT REFERENCES blobs(hash)');
+        },
+    },
+    {
+        version: 4,
+        description: 'Flag binary blobs',
+        up: (db) => addColumn(db, 'blobs', 'is_binary', 'INTEGER DEFAULT 0'),
+    },
+    {
+        version: 5,
+        description: 'Record the compression codec of each blob',
+        up: (db) => addColumn(db, 'blobs', 'codec', `TEXT DEFAULT 'none'`),
+    },
+    {
+        version: 6,
+        description: 'Track file deletions as tombstones',
+        up: async (db) => {
+            await addColumn(db, 'files', 'deleted_at', 'DATETIME');
+            await addColumn(db, 'snapshot_files', 'deleted', 'INTEGER DEFAULT 0');
+        },
+    },
+    {
+        version: 7,
+        description: 'Give projects a stable identity independent of the folder name',
+        up: async (db) => {
+            await addColumn(db, 'projects', 'uuid', 'TEXT');
+            await run(db, `CREATE UNIQUE INDEX IF NOT EXISTS idx_projects_uuid ON projects(uuid)`);
+        },
+    },
+    {
+        version: 8,
+        description: 'Add named snapshot tags',
+        up: (db) =>
+            run(
+                db,
+                `CREATE TABLE IF NOT EXISTS tags (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    project_id INTEGER NOT NULL,
+                    name TEXT NOT NULL,
+                    snapshot_id INTEGER NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE (project_id, name),
+                    FOREIGN KEY (project_id) REFERENCES projects(id),
+                    FOREIGN KEY (snapshot_id) REFERENCES snapshots(id)
+                )`
+            ),
+    },
+    {
+        version: 9,
+        description: 'Record snapshot parents and named branches',
+        up: async (db) => {
+            await run(
+                db,
+                `CREATE TABLE IF NOT EXISTS snapshot_parents (
+                    snapshot_id INTEGER NOT NULL,
+                    parent_id INTEGER NOT NULL,
+                    position INTEGER NOT NULL DEFAULT 0,
+                    PRIMARY KEY (snapshot_id, parent_id),
+                    FOREIGN KEY (snapshot_id) REFERENCES snapshots(id),
+                    FOREIGN KEY (parent_id) REFERENCES snapshots(id)
+                )`
+            );
+            await run(
+                db,
+                `CREATE TABLE IF NOT EXISTS branches (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    project_id INTEGER NOT NULL,
+                    name TEXT NOT NULL,
+                    head_snapshot_id INTEGER,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE (project_id, name),
+                    FOREIGN KEY (project_id) REFERENCES projects(id),
+                    FOREIGN KEY (head_snapshot_id) REFERENCES snapshots(id)
+                )`
+            );
+            await addColumn(db, 'projects', 'current_branch', 'TEXT');
+            await addColumn(db, 'projects', 'head_snapshot_id', 'INTEGER REFERENCES snapshots(id)');
+
+            // Existing history was linear: each snapshot descends from the one before it,
+            // and everything lives on a "main" branch pointing at the latest snapshot.
+            await run(
+                db,
+                `INSERT OR IGNORE INTO snapshot_parents (snapshot_id, parent_id, position)
+                 SELECT id, previous_id, 0 FROM (
+                     SELECT id, LAG(id) OVER (PARTITION BY project_id ORDER BY created_at, id) AS previous_id
+                     FROM snapshots
+                 )
+                 WHERE previous_id IS NOT NULL`
+            );
+            const latest = `(SELECT s.id FROM snapshots s WHERE s.project_id = projects.id ORDER BY s.created_at DESC, s.id DESC LIMIT 1)`;
+            await run(
+                db,
+                `INSERT OR IGNORE INTO branches (project_id, name, head_snapshot_id)
+                 SELECT id, 'main', ${latest} FROM projects`
+            );
+            await run(db, `UPDATE projects SET current_branch = 'main', head_snapshot_id = ${latest}`);
+        },
+    },
+    {
+        version: 10,
+        description: 'Remember a merge in progress',
+        up: (db) => addColumn(db, 'projects', 'merge_snapshot_id', 'INTEGER REFERENCES snapshots(id)'),
+    },
+    {
+        version: 11,
+        description: 'Add stashes of uncommitted working changes',
+        up: async (db) => {
+            await run(
+                db,
+                `CREATE TABLE IF NOT EXISTS stashes (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    project_id INTEGER NOT NULL,
+                    message TEXT,
+                    branch TEXT,
+                    base_snapshot_id INTEGER,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (project_id) REFERENCES projects(id),
+                    FOREIGN KEY (base_snapshot_id) REFERENCES snapshots(id)
+                )`
+            );
+            await run(
+                db,
+                `CREATE TABLE IF NOT EXISTS stash_files (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    stash_id INTEGER NOT NULL,
+                    path TEXT NOT NULL,
+                    blob_hash TEXT REFERENCES blobs(hash),
+                    deleted INTEGER DEFAULT 0,
+                    FOREIGN KEY (stash_id) REFERENCES stashes(id)
+                )`
+            );
+        },
+    },
+    {
+        version: 12,
+        description: 'Record file modes, mtimes and symlink targets',
+        up: async (db) => {
+            for (const table of ['snapshot_files', 'stash_files']) {
+                await addColumn(db, table, 'mode', 'INTEGER');
+                await addColumn(db, table, 'mtime_ms', 'REAL');
+                await addColumn(db, table, 'symlink_target', 'TEXT');
+            }
+        },
+    },
+];
+
+const LATEST_VERSION = migrations[migrations.length - 1].version;
+
+// Whether the database records its schema version yet
+const hasVersionTable = async (db) =>
+    Boolean(await get(db, `SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_version'`));
+
+// Read the schema version recorded in the database (0 for an empty or unversioned database).
+// Only reads, so it works on read-only handles and on databases from newer versions.
+const getSchemaVersion = async (db) => {
+    if (!(await hasVersionTable(db))) return 0;
+    const row = await get(db, `SELECT MAX(version) AS version FROM schema_version`);
+    return row.version || 0;
+};
+
+// List the migrations recorded as applied
+const getAppliedMigrations = async (db) => {
+    if (!(await hasVersionTable(db))) return [];
+    return all(db, `SELECT version, description, applied_at FROM schema_version ORDER BY version ASC`);
+};
+
+// Apply every pending migration in order, each inside its own transaction.
+// Resolves with the list of migrations that were applied.
+const migrate = async (db) => {
+    const current = await getSchemaVersion(db);
+    if (current > LATEST_VERSION) {
+        throw new SchemaVersionError(
+            `Database schema version ${current} is newer than this CLI supports (${LATEST_VERSION}). Upgrade svc to continue.`
+        );
+    }
+
+    await run(
+        db,
+        `CREATE TABLE IF NOT EXISTS schema_version (
+            version INTEGER PRIMARY KEY,
+            description TEXT,
+            applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`
+    );
+    const pending = migrations.filter(({ version }) => version > current);
+    for (const migration of pending) {
+        try {
+            await transaction(db, async () => {
+                await migration.up(db);
+                await run(db, `INSERT INTO schema_version (version, description) VALUES (?, ?)`, [
+                    migration.version,
+                    migration.description,
+                ]);
+            });
+        } catch (err) {
+            throw new Error(`Migration ${migration.version} (${migration.description}) failed: ${err.message}`);
+        }
+    }
+
+    return pending;
+};
+
+export { migrations, LATEST_VERSION, SchemaVersionError, getSchemaVersion, getAppliedMigrations, migrate };
@@ -0,0 +1,50 @@
+// Promise wrappers around the sqlite3 callback API
+
+// Run a statement and resolve with its `lastID` and `changes`
+export const run = (db, sql, params = []) =>
+    new Promise((resolve, reject) => {
+        db.run(sql, params, function (err) {
+            if (err) return reject(err);
+            resolve({ lastID: this.lastID, changes: this.changes });
+        });
+    });
+
+// Resolve with the first matching row
+export const get = (db, sql, params = []) =>
+    new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+            if (err) return reject(err);
+            resolve(row);
+        });
+    });
+
+// Resolve with every matching row
+export const all = (db, sql, params = []) =>
+    new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => {
+            if (err) return reject(err);
+            resolve(rows);
+        });
+    });
+
+// Close the handle once pending statements have finished
+export const close = (db) =>
+    new Promise((resolve, reject) => {
+        db.close((err) => {
+            if (err) return reject(err);
+            resolve();
+        });
+    });
+
+// Run `work` inside a transaction, committing on success and rolling back if it throws
+export const transaction = async (db, work) => {
+    await run(db, 'BEGIN IMMEDIATE');
+    try {
+        const result = await work();
+        await run(db, 'COMMIT');
+        return result;
+    } catch (err) {
+        await run(db, 'ROLLBACK');
+        throw err;
+    }
+};
@@ -0,0 +1,211 @@
+import path from 'path';
+import { run, get, all, transaction } from './query.js';
+import { pruneBlobs, loadBlobContents, loadSnapshotFileRows } from './blobs.js';
+import { findTag } from './tags.js';
+import { findBranch } from './branches.js';
+import { calculateContentHash } from '../utils/hash.js';
+import { DEFAULT_RENAME_THRESHOLD, detectRenames } from '../utils/renames.js';
+
+// Raised when a snapshot reference matches no snapshot id, tag or branch
+class SnapshotNotFoundError extends Error {}
+
+// Split a GROUP_CONCAT list
+const splitList = (value) => (value ? value.split('\n') : []);
+
+// Resolve with the project's snapshots, oldest first. Each row carries its parent ids
+// (first parent first) and the names of the tags and branches pointing at it.
+const loadSnapshots = async (db, projectId) => {
+    const rows = await all(
+        db,
+        `SELECT s.id, s.description, s.created_at,
+                (SELECT GROUP_CONCAT(t.name, char(10)) FROM tags t WHERE t.snapshot_id = s.id) AS tags,
+                (SELECT GROUP_CONCAT(b.name, char(10)) FROM branches b WHERE b.head_snapshot_id = s.id) AS branches,
+                (SELECT GROUP_CONCAT(parent_id, char(10)) FROM (
+                    SELECT p.parent_id FROM snapshot_parents p WHERE p.snapshot_id = s.id ORDER BY p.position
+                )) AS parents
+         FROM snapshots s
+         WHERE s.project_id = ?
+         ORDER BY s.created_at ASC, s.id ASC`,
+        [projectId]
+    );
+    return rows.map((row) => ({
+        ...row,
+        tags: splitList(row.tags).sort(),
+        branches: splitList(row.branches).sort(),
+        parents: splitList(row.parents).map(Number),
+    }));
+};
+
+// Resolve a snapshot reference (an id, a tag name or a branch name) to a snapshot id of this project
+const resolveSnapshotRef = async (db, projectId, ref) => {
+    const value = String(ref);
+    if (/^\d+$/.test(value)) {
+        const snapshot = await get(db, `SELECT id FROM snapshots WHERE id = ? AND project_id = ?`, [Number(value), projectId]);
+        if (snapshot) return snapshot.id;
+        throw new SnapshotNotFoundError(`Snapshot ${value} does not exist in this project.`);
+    }
+
+    const tag = await findTag(db, projectId, value);
+    if (tag) return tag.snapshot_id;
+
+    const branch = await findBranch(db, projectId, value);
+    if (branch && branch.head_snapshot_id) return branch.head_snapshot_id;
+    if (branch) throw new SnapshotNotFoundError(`Branch "${value}" has no snapshots yet.`);
+    throw new SnapshotNotFoundError(`No snapshot, tag or branch named "${value}".`);
+};
+
+// Resolve with every ancestor of a snapshot, including itself, mapped to its distance
+const loadAncestors = async (db, snapshotId) => {
+    const rows = await all(
+        db,
+        `WITH RECURSIVE ancestry (id, depth) AS (
+             SELECT ?, 0
+             UNION
+             SELECT p.parent_id, a.depth + 1 FROM snapshot_parents p INNER JOIN ancestry a ON p.snapshot_id = a.id
+         )
+         SELECT id, MIN(depth) AS depth FROM ancestry GROUP BY id`,
+        [snapshotId]
+    );
+    return new Map(rows.map((row) => [row.id, row.depth]));
+};
+
+// Resolve with the newest snapshot both snapshots descend from, or null when their histories never meet
+const findMergeBase = async (db, firstId, secondId) => {
+    const first = await loadAncestors(db, firstId);
+    const second = await loadAncestors(db, secondId);
+    const common = [...first.keys()].filter((id) => second.has(id));
+    return common.length > 0 ? Math.max(...common) : null;
+};
+
+// Content hash of a row from `loadSnapshotFileRows`; rows stored before the blob store are hashed here
+const rowHash = (row) => row.blob_hash || calculateContentHash(row.content || '');
+
+// Decode the blobs of rows from `loadSnapshotFileRows`, each once, and resolve with a function that
+// returns a row with its content filled in
+const loadContents = async (db, rows) => {
+    const contents = await loadBlobContents(db, rows.filter((row) => row?.blob_hash).map((row) => row.blob_hash));
+    return (row) => (row?.blob_hash ? { ...row, content: contents.get(row.blob_hash) } : row);
+};
+
+// Find the row of the parent snapshot that `file` was renamed from, decoding as little as possible:
+// among the parent's paths the child lacks, an identical hash settles it, and only text files of
+// comparable size (a cheap stand-in for the line counts `detectRenames` compares) are read to score.
+const findRenameSource = async (db, file, snapshotId, parentId) => {
+    if (file.size === 0) return null;
+
+    const live = async (id) => (await loadSnapshotFileRows(db, { snapshotId: id })).filter((row) => !row.deleted);
+    const present = new Set((await live(snapshotId)).map((row) => row.path));
+    const removed = (await live(parentId)).filter((row) => !present.has(row.path) && row.size > 0);
+
+    const exact = removed.filter((row) => rowHash(row) === rowHash(file));
+    if (exact.length > 0) return exact.find((row) => path.basename(row.path) === path.basename(file.path)) || exact[0];
+    if (file.is_binary) return null;
+
+    const comparable = removed.filter(
+        (row) => !row.is_binary && (2 * Math.min(row.size, file.size)) / (row.size + file.size) >= DEFAULT_RENAME_THRESHOLD
+    );
+    if (comparable.length === 0) return null;
+
+    const withContent = await loadContents(db, [file, ...comparable]);
+    const [rename] = detectRenames(comparable.map(withContent), [withContent(file)]);
+    return rename ? comparable.find((row) => row.path === rename.from.path) : null;
+};
+
+// Follow one path back from `snapshotId` through first parents, across renames. Only that path's rows
+// are read, plus the two snapshots' file lists where it was renamed, and contents are decoded just for
+// the versions returned. Resolves with the snapshots that added, changed or renamed it, newest first:
+// [{ snapshot, path, file, previous, renamedFrom }], where `previous` is the parent's version.
+const traceFileHistory = async (db, projectId, filePath, snapshotId) => {
+    const snapshots = new Map((await loadSnapshots(db, projectId)).map((snap) => [snap.id, snap]));
+
+    // Live rows of each path visited, keyed by snapshot id
+    const rowsByPath = new Map();
+    const rowsOf = async (current) => {
+        if (!rowsByPath.has(current)) {
+            const rows = await loadSnapshotFileRows(db, { projectId, path: current });
+            rowsByPath.set(current, new Map(rows.filter((row) => !row.deleted).map((row) => [row.snapshot_id, row])));
+        }
+        return rowsByPath.get(current);
+    };
+
+    const versions = [];
+    let current = filePath;
+    let snap = snapshots.get(snapshotId);
+    while (snap && current) {
+        const file = (await rowsOf(current)).get(snap.id);
+        if (!file) break;
+        const parent = snapshots.get(snap.parents[0]);
+
+        // A path the parent lacks was either added here or renamed from one the parent had
+        let previous = parent ? (await rowsOf(current)).get(parent.id) : undefined;
+        let renamedFrom = null;
+        if (parent && !previous) {
+            previous = (await findRenameSource(db, file, snap.id, parent.id)) || undefined;
+            renamedFrom = previous ? previous.path : null;
+        }
+
+        if (!previous || renamedFrom || rowHash(previous) !== rowHash(file)) {
+            versions.push({ snapshot: snap, path: current, file, previous, renamedFrom });
+        }
+
+        current = previous?.path;
+        snap = parent;
+    }
+
+    const withContent = await loadContents(db, versions.flatMap(({ file, previous }) => [file, previous]));
+    return versions.map((version) => ({ ...version, file: withContent(version.file), previous: withContent(version.previous) }));
+};
+
+// Take a snapshot out of the lineage: its children inherit its parents, and branches
+// (or the head) pointing at it fall back to its first parent.
+const unlinkSnapshot = async (db, snapshotId) => {
+    const parents = (
+        await all(db, `SELECT parent_id FROM snapshot_parents WHERE snapshot_id = ? ORDER BY position`, [snapshotId])
+    ).map((row) => row.parent_id);
+    const children = await all(db, `SELECT snapshot_id, position FROM snapshot_parents WHERE parent_id = ?`, [snapshotId]);
+
+    await run(db, `DELETE FROM snapshot_parents WHERE snapshot_id = ? OR parent_id = ?`, [snapshotId, snapshotId]);
+    for (const child of children) {
+        for (const [offset, parentId] of parents.entries()) {
+            // The first inherited parent takes the removed link's place; any others follow the child's own parents
+            const position =
+                offset === 0
+                    ? child.position
+                    : (await get(db, `SELECT MAX(position) + 1 AS next FROM snapshot_parents WHERE snapshot_id = ?`, [
+                          child.snapshot_id,
+                      ])).next;
+            await run(db, `INSERT OR IGNORE INTO snapshot_parents (snapshot_id, parent_id, position) VALUES (?, ?, ?)`, [
+                child.snapshot_id,
+                parentId,
+                position,
+            ]);
+        }
+    }
+
+    const fallback = parents.length > 0 ? parents[0] : null;
+    await run(db, `UPDATE branches SET head_snapshot_id = ? WHERE head_snapshot_id = ?`, [fallback, snapshotId]);
+    await run(db, `UPDATE projects SET head_snapshot_id = ? WHERE head_snapshot_id = ?`, [fallback, snapshotId]);
+    await run(db, `UPDATE projects SET merge_snapshot_id = NULL WHERE merge_snapshot_id = ?`, [snapshotId]);
+};
+
+// Delete a snapshot together with its files and tags, then drop blobs no snapshot uses anymore.
+// Resolves with the number of blobs removed.
+const removeSnapshot = (db, snapshotId) =>
+    transaction(db, async () => {
+        await unlinkSnapshot(db, snapshotId);
+        await run(db, `DELETE FROM snapshot_files WHERE snapshot_id = ?`, [snapshotId]);
+        await run(db, `DELETE FROM tags WHERE snapshot_id = ?`, [snapshotId]);
+        await run(db, `DELETE FROM snapshots WHERE id = ?`, [snapshotId]);
+        const { changes } = await pruneBlobs(db);
+        return changes;
+    });
+
+export {
+    SnapshotNotFoundError,
+    loadSnapshots,
+    resolveSnapshotRef,
+    loadAncestors,
+    findMergeBase,
+    traceFileHistory,
+    removeSnapshot,
+};
@@ -0,0 +1,84 @@
+import { run, get, all, transaction } from './query.js';
+import { decodeBlob, storeBlob, pruneBlobs } from './blobs.js';
+import { calculateContentHash } from '../utils/hash.js';
+
+// Raised when a stash does not exist
+class StashNotFoundError extends Error {}
+
+// Save working files aside in one transaction. `files` holds `readFileEntry` results plus
+// their `path`, where a null buffer records a deletion. Resolves with the new stash id.
+const createStash = (db, projectId, { message, branch, baseSnapshotId, files }) =>
+    transaction(db, async () => {
+        const { lastID } = await run(
+            db,
+            `INSERT INTO stashes (project_id, message, branch, base_snapshot_id) VALUES (?, ?, ?, ?)`,
+            [projectId, message, branch, baseSnapshotId]
+        );
+        for (const file of files) {
+            if (file.buffer === null) {
+                await run(db, `INSERT INTO stash_files (stash_id, path, deleted) VALUES (?, ?, 1)`, [lastID, file.path]);
+                continue;
+            }
+            const hash = calculateContentHash(file.buffer);
+            await storeBlob(db, hash, file.buffer);
+            await run(
+                db,
+                `INSERT INTO stash_files (stash_id, path, blob_hash, mode, mtime_ms, symlink_target) VALUES (?, ?, ?, ?, ?, ?)`,
+                [lastID, file.path, hash, file.mode, file.mtimeMs, file.symlinkTarget]
+            );
+        }
+        return lastID;
+    });
+
+// Resolve with the project's stashes, newest first, with the number of files in each
+const listStashes = (db, projectId) =>
+    all(
+        db,
+        `SELECT s.id, s.message, s.branch, s.base_snapshot_id, s.created_at,
+                (SELECT COUNT(*) FROM stash_files sf WHERE sf.stash_id = s.id) AS file_count
+         FROM stashes s
+         WHERE s.project_id = ?
+         ORDER BY s.id DESC`,
+        [projectId]
+    );
+
+// Resolve with one stash, or the newest when `stashId` is undefined
+const findStash = async (db, projectId, stashId) => {
+    const stash =
+        stashId === undefined
+            ? await get(db, `SELECT * FROM stashes WHERE project_id = ? ORDER BY id DESC LIMIT 1`, [projectId])
+            : await get(db, `SELECT * FROM stashes WHERE project_id = ? AND id = ?`, [projectId, Number(stashId)]);
+    if (!stash) throw new StashNotFoundError(stashId === undefined ? 'No stashes found.' : `Stash ${stashId} does not exist.`);
+    return stash;
+};
+
+// Load the files of a stash in the same shape as `loadSnapshotFiles`
+const loadStashFiles = async (db, stashId) => {
+    const rows = await all(
+        db,
+        `SELECT sf.path, sf.blob_hash, COALESCE(sf.deleted, 0) AS deleted, sf.mode, sf.mtime_ms, sf.symlink_target,
+                b.content, b.codec, COALESCE(b.is_binary, 0) AS is_binary
+         FROM stash_files sf
+         LEFT JOIN blobs b ON sf.blob_hash = b.hash
+         WHERE sf.stash_id = ?
+         ORDER BY sf.path ASC`,
+        [stashId]
+    );
+    return rows.map(({ codec, ...row }) => ({
+        ...row,
+        is_binary: Boolean(row.is_binary),
+        deleted: Boolean(row.deleted),
+        content: row.deleted ? null : decodeBlob({ ...row, codec }),
+    }));
+};
+
+// Delete a stash and the blobs only it referenced. Resolves with the number of blobs removed.
+const removeStash = (db, stashId) =>
+    transaction(db, async () => {
+        await run(db, `DELETE FROM stash_files WHERE stash_id = ?`, [stashId]);
+        await run(db, `DELETE FROM stashes WHERE id = ?`, [stashId]);
+        const { changes } = await pruneBlobs(db);
+        return changes;
+    });
+
+export { StashNotFoundError, createStash, listStashes, findStash, loadStashFiles, removeStash };
@@ -0,0 +1,69 @@
+import { run, get, all } from './query.js';
+
+// Names of tags and branches may not look like snapshot ids, so a reference is never ambiguous
+const REF_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._\-/]*$/;
+
+// Raised when a tag name is malformed, missing or already taken
+class TagError extends Error {}
+
+// Describe what is wrong with a tag or branch name, or return null when it is usable
+const refNameProblem = (name) => {
+    if (!name || !REF_NAME_PATTERN.test(name)) return 'use letters, digits, ".", "_", "-" or "/".';
+    if (/^\d+$/.test(name)) return 'it would be mistaken for a snapshot id.';
+    return null;
+};
+
+// Throw unless `name` is usable as a tag
+const validateTagName = (name) => {
+    const problem = refNameProblem(name);
+    if (problem) throw new TagError(`Invalid tag name "${name}": ${problem}`);
+};
+
+// Resolve with every tag of a project, sorted by name
+const listTags = (db, projectId) =>
+    all(
+        db,
+        `SELECT t.name, t.snapshot_id, t.created_at, s.description
+         FROM tags t
+         INNER JOIN snapshots s ON t.snapshot_id = s.id
+         WHERE t.project_id = ?
+         ORDER BY t.name ASC`,
+        [projectId]
+    );
+
+// Resolve with one tag, or undefined
+const findTag = (db, projectId, name) =>
+    get(db, `SELECT name, snapshot_id, created_at FROM tags WHERE project_id = ? AND name = ?`, [projectId, name]);
+
+// Point `name` at a snapshot. Creating a tag that exists fails unless `move` is set;
+// moving a tag that does not exist fails too. Resolves with the snapshot it pointed at before, if any.
+const setTag = async (db, projectId, name, snapshotId, { move = false } = {}) => {
+    validateTagName(name);
+    const existing = await findTag(db, projectId, name);
+
+    if (existing && !move) throw new TagError(`Tag "${name}" already exists on snapshot ${existing.snapshot_id}.`);
+    if (!existing && move) throw new TagError(`Tag "${name}" does not exist.`);
+
+    if (existing) {
+        await run(db, `UPDATE tags SET snapshot_id = ?, created_at = CURRENT_TIMESTAMP WHERE project_id = ? AND name = ?`, [
+            snapshotId,
+            projectId,
+            name,
+        ]);
+        return existing.snapshot_id;
+    }
+
+    await run(db, `INSERT INTO tags (project_id, name, snapshot_id) VALUES (?, ?, ?)`, [projectId, name, snapshotId]);
+    return undefined;
+};
+
+// Delete a tag. Resolves with the snapshot it pointed at.
+const removeTag = async (db, projectId, name) => {
+    const existing = await findTag(db, projectId, name);
+    if (!existing) throw new TagError(`Tag "${name}" does not exist.`);
+
+    await run(db, `DELETE FROM tags WHERE project_id = ? AND name = ?`, [projectId, name]);
+    return existing.snapshot_id;
+};
+
+export { TagError, refNameProblem, validateTagName, listTags, findTag, setTag, removeTag };
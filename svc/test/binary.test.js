@@ -0,0 +1,62 @@
+import fs from 'fs';
+import path from 'path';
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatSize, isBinaryBuffer } from '../utils/binary.js';
+import { calculateContentHash } from '../utils/hash.js';
+import { createProject, downgradeToInlineRows, removeProject, snapshot, svc } from './helpers.js';
+
+// Bytes that are not valid UTF-8 and would be mangled by a round trip through a string
+const IMAGE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff, 0xfe, 0x80, 0x0a]);
+const CHANGED_IMAGE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff, 0x01]);
+
+describe('isBinaryBuffer', () => {
+    test('flags NUL bytes and invalid UTF-8', () => {
+        assert.equal(isBinaryBuffer(IMAGE), true);
+        assert.equal(isBinaryBuffer(Buffer.from([0xc3, 0x28])), true);
+    });
+
+    test('accepts UTF-8 text', () => {
+        assert.equal(isBinaryBuffer(Buffer.from('héllo wörld\n')), false);
+    });
+});
+
+describe('formatSize', () => {
+    test('picks a unit by magnitude', () => {
+        assert.equal(formatSize(512), '512 B');
+        assert.equal(formatSize(2048), '2.0 KB');
+        assert.equal(formatSize(3 * 1024 * 1024), '3.0 MB');
+    });
+});
+
+describe('binary snapshots', () => {
+    let root;
+    before(() => {
+        root = createProject();
+        snapshot(root, 'first', { 'logo.png': IMAGE });
+        snapshot(root, 'second', { 'logo.png': CHANGED_IMAGE });
+    });
+    after(() => removeProject(root));
+
+    test('revert restores binary files byte for byte', () => {
+        assert.equal(svc(root, 'revert', '1', '--no-backup').status, 0);
+        assert.deepEqual(fs.readFileSync(path.join(root, 'logo.png')), IMAGE);
+    });
+
+    test('diff reports sizes and hashes instead of lines', () => {
+        const { status, stdout } = svc(root, 'diff', '1', '2');
+
+        assert.equal(status, 0);
+        assert.match(stdout, /Binary files differ/);
+        assert.match(stdout, new RegExp(`old: 9 B, sha256 ${calculateContentHash(IMAGE).slice(0, 12)}`));
+        assert.match(stdout, new RegExp(`new: 7 B, sha256 ${calculateContentHash(CHANGED_IMAGE).slice(0, 12)}`));
+    });
+
+    test('diff shows the hash of rows stored before the blob store', async () => {
+        await downgradeToInlineRows(root);
+        const { stdout } = svc(root, 'diff', '1', '2');
+
+        assert.match(stdout, /Binary files differ/);
+        assert.match(stdout, new RegExp(`old: 9 B, sha256 ${calculateContentHash(IMAGE).slice(0, 12)}`));
+    });
+});
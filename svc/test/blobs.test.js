@@ -0,0 +1,61 @@
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createProject, downgradeToInlineRows, queryDatabase, readFile, removeProject, snapshot, svc, writeFiles } from './helpers.js';
+
+// Blob hash of each path in a snapshot
+const blobHashes = async (root, snapshotId) =>
+    Object.fromEntries(
+        (
+            await queryDatabase(
+                root,
+                `SELECT f.path, sf.blob_hash FROM snapshot_files sf INNER JOIN files f ON sf.file_id = f.id
+                 WHERE sf.snapshot_id = ?`,
+                [snapshotId]
+            )
+        ).map((row) => [row.path, row.blob_hash])
+    );
+
+describe('blob store', () => {
+    let root;
+    beforeEach(() => {
+        root = createProject();
+    });
+    afterEach(() => removeProject(root));
+
+    test('stores an unchanged file once across snapshots', async () => {
+        snapshot(root, 'first', { 'a.txt': 'same\n', 'b.txt': 'one\n' });
+        snapshot(root, 'second', { 'b.txt': 'two\n' });
+
+        const [first, second] = [await blobHashes(root, 1), await blobHashes(root, 2)];
+        assert.equal(first['a.txt'], second['a.txt']);
+        assert.notEqual(first['b.txt'], second['b.txt']);
+
+        const [{ blobs }] = await queryDatabase(root, `SELECT COUNT(*) AS blobs FROM blobs`);
+        assert.equal(blobs, new Set([...Object.values(first), ...Object.values(second)]).size);
+    });
+
+    test('stores identical contents under different paths once', async () => {
+        snapshot(root, 'first', { 'a.txt': 'same\n', 'copy/a.txt': 'same\n' });
+
+        const hashes = await blobHashes(root, 1);
+        assert.equal(hashes['a.txt'], hashes['copy/a.txt']);
+        assert.match(hashes['a.txt'], /^[0-9a-f]{64}$/);
+    });
+
+    test('revert reads contents back through the store', () => {
+        snapshot(root, 'first', { 'a.txt': 'one\n' });
+        snapshot(root, 'second', { 'a.txt': 'two\n' });
+
+        assert.equal(svc(root, 'revert', '1', '--no-backup').status, 0);
+        assert.equal(readFile(root, 'a.txt'), 'one\n');
+    });
+
+    test('revert still reads rows stored inline before the blob store', async () => {
+        snapshot(root, 'first', { 'a.txt': 'one\n' });
+        writeFiles(root, { 'a.txt': 'two\n' });
+        await downgradeToInlineRows(root);
+
+        assert.equal(svc(root, 'revert', '1', '--no-backup').status, 0);
+        assert.equal(readFile(root, 'a.txt'), 'one\n');
+    });
+});
@@ -0,0 +1,102 @@
+import fs from 'fs';
+import path from 'path';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { layoutGraph } from '../utils/graph.js';
+import { createProject, exists, readFile, removeProject, snapshot, svc, writeFiles } from './helpers.js';
+
+// Graph rows as text, with each snapshot row reduced to its id
+const drawGraph = (snapshots) =>
+    layoutGraph(snapshots).map(({ graph, snapshot }) => (snapshot ? `${graph} ${snapshot.id}` : graph).trimEnd());
+
+// History lines without their timestamps
+const history = (root) =>
+    svc(root, 'log')
+        .stdout.split('\n')
+        .slice(2)
+        .filter(Boolean)
+        .map((line) => line.replace(/ \(\d{4}-[^)]*\)$/, '').trimEnd());
+
+describe('layoutGraph', () => {
+    test('draws a straight line for linear history', () => {
+        assert.deepEqual(drawGraph([{ id: 1, parents: [] }, { id: 2, parents: [1] }]), ['* 2', '* 1']);
+    });
+
+    test('draws a fork and a merge', () => {
+        const snapshots = [
+            { id: 1, parents: [] },
+            { id: 2, parents: [1] },
+            { id: 3, parents: [1] },
+            { id: 4, parents: [3, 2] },
+        ];
+        assert.deepEqual(drawGraph(snapshots), ['* 4', '|\\', '* | 3', '| * 2', '|/', '* 1']);
+    });
+});
+
+describe('branches', () => {
+    let root;
+    beforeEach(() => {
+        root = createProject();
+        snapshot(root, 'base', { 'a.txt': 'a\n', 'b.txt': 'b\n' });
+    });
+    afterEach(() => removeProject(root));
+
+    test('snapshots on two branches fork the lineage', () => {
+        svc(root, 'switch', '-c', 'feature');
+        snapshot(root, 'on feature', { 'b.txt': 'feature\n' });
+        svc(root, 'switch', 'main');
+        snapshot(root, 'on main', { 'a.txt': 'main\n' });
+
+        assert.deepEqual(history(root), ['*   3 (HEAD -> main) on main', '| * 2 (feature) on feature', '|/', '*   1 base']);
+        assert.equal(svc(root, 'branch').stdout, '  feature  2: on feature\n* main     3: on main\n');
+    });
+
+    test('snapshotting after a revert forks from the snapshot reverted to', () => {
+        snapshot(root, 'second', { 'a.txt': 'second\n' });
+        svc(root, 'revert', '1', '--no-backup');
+
+        assert.deepEqual(history(root), ['* 2 (main) second', '* 1 (HEAD) base']);
+
+        snapshot(root, 'fork', { 'b.txt': 'fork\n' });
+        assert.deepEqual(history(root), ['*   3 (HEAD -> main) fork', '| * 2 second', '|/', '*   1 base']);
+    });
+
+    test('switching writes only the paths that differ between the branches', () => {
+        svc(root, 'switch', '-c', 'feature');
+        snapshot(root, 'on feature', { 'b.txt': 'feature\n', 'c.txt': 'c\n' });
+        const unchanged = fs.statSync(path.join(root, 'a.txt')).mtimeMs;
+
+        const { status, stdout } = svc(root, 'switch', 'main');
+        assert.equal(status, 0);
+        assert.equal(stdout, 'Restored: b.txt\nRemoved: c.txt\nSwitched to branch "main".\n');
+        assert.equal(readFile(root, 'b.txt'), 'b\n');
+        assert.equal(exists(root, 'c.txt'), false);
+        assert.equal(fs.statSync(path.join(root, 'a.txt')).mtimeMs, unchanged);
+
+        svc(root, 'switch', 'feature');
+        assert.equal(readFile(root, 'c.txt'), 'c\n');
+    });
+
+    test('refuses to switch over uncommitted changes unless forced', () => {
+        svc(root, 'switch', '-c', 'feature');
+        snapshot(root, 'on feature', { 'b.txt': 'feature\n' });
+        writeFiles(root, { 'a.txt': 'local\n' });
+
+        const refused = svc(root, 'switch', 'main');
+        assert.equal(refused.status, 1);
+        assert.match(refused.stderr, /would be overwritten by switching branches:\n {2}a\.txt/);
+        assert.equal(readFile(root, 'a.txt'), 'local\n');
+
+        assert.equal(svc(root, 'switch', '--force', 'main').status, 0);
+        assert.equal(readFile(root, 'a.txt'), 'a\n');
+        assert.equal(readFile(root, 'b.txt'), 'b\n');
+    });
+
+    test('the current branch cannot be deleted', () => {
+        svc(root, 'branch', 'old');
+
+        assert.equal(svc(root, 'branch', '-d', 'main').status, 1);
+        assert.equal(svc(root, 'branch', '-d', 'old').status, 0);
+        assert.equal(svc(root, 'branch').stdout, '* main  1: base\n');
+    });
+});
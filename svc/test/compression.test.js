@@ -0,0 +1,77 @@
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { codecs, decodeBlob, encodeBlob } from '../database/blobs.js';
+import { createProject, downgradeToInlineRows, queryDatabase, readFile, removeProject, snapshot, svc } from './helpers.js';
+
+const TEXT = 'a line that repeats\n'.repeat(200);
+
+describe('encodeBlob and decodeBlob', () => {
+    for (const codec of Object.keys(codecs)) {
+        test(`round-trip text and binary contents with ${codec}`, () => {
+            const binary = Buffer.concat([Buffer.from([0, 255, 254]), Buffer.from(TEXT)]);
+
+            assert.equal(decodeBlob({ ...encodeBlob(Buffer.from(TEXT), false, codec), is_binary: 0 }), TEXT);
+            assert.deepEqual(decodeBlob({ ...encodeBlob(binary, true, codec), is_binary: 1 }), binary);
+        });
+    }
+
+    test('keeps contents uncompressed when compression does not save space', () => {
+        assert.deepEqual(encodeBlob(Buffer.from('x'), false, 'gzip'), { content: 'x', codec: 'none' });
+    });
+
+    test('reads rows without a codec as uncompressed', () => {
+        assert.equal(decodeBlob({ content: 'plain', codec: null, is_binary: 0 }), 'plain');
+    });
+
+    test('rejects unknown codecs', () => {
+        assert.throws(() => encodeBlob(Buffer.from(TEXT), false, 'zip'), /Unknown compression codec "zip"/);
+    });
+});
+
+describe('svc recompress', () => {
+    let root;
+    beforeEach(() => {
+        root = createProject();
+        snapshot(root, 'first', { 'a.txt': TEXT });
+    });
+    afterEach(() => removeProject(root));
+
+    // Codec of the blob holding a.txt in snapshot 1
+    const codecOfA = async () => {
+        const [row] = await queryDatabase(
+            root,
+            `SELECT b.codec FROM snapshot_files sf INNER JOIN files f ON sf.file_id = f.id
+             INNER JOIN blobs b ON sf.blob_hash = b.hash WHERE sf.snapshot_id = 1 AND f.path = 'a.txt'`
+        );
+        return row?.codec;
+    };
+
+    test('snapshots compress contents with gzip by default', async () => {
+        assert.equal(await codecOfA(), 'gzip');
+    });
+
+    test('switches stored contents to another codec and keeps them readable', async () => {
+        const { status } = svc(root, 'recompress', '--codec', 'brotli');
+
+        assert.equal(status, 0);
+        assert.equal(await codecOfA(), 'brotli');
+        assert.equal(svc(root, 'revert', '1', '--no-backup').status, 0);
+        assert.equal(readFile(root, 'a.txt'), TEXT);
+    });
+
+    test('moves contents stored inline before the blob store into it', async () => {
+        await downgradeToInlineRows(root);
+        assert.equal(svc(root, 'recompress').status, 0);
+
+        const inline = await queryDatabase(root, `SELECT id FROM snapshot_files WHERE blob_hash IS NULL AND COALESCE(deleted, 0) = 0`);
+        assert.deepEqual(inline, []);
+        assert.equal(await codecOfA(), 'gzip');
+    });
+
+    test('rejects an unknown codec as a usage error', () => {
+        const { status, stderr } = svc(root, 'recompress', '--codec', 'zip');
+
+        assert.equal(status, 2);
+        assert.match(stderr, /Unknown codec "zip"; use one of none, gzip, brotli\./);
+    });
+});
@@ -0,0 +1,67 @@
+import path from 'path';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createProject, downgradeToInlineRows, removeProject, snapshot, svc, writeFiles } from './helpers.js';
+
+// Names of the files a diff shows changes for
+const diffedFiles = (stdout) =>
+    [...stdout.matchAll(/^File: (.+)\n(?! {2}Content identical)/gm)].map(([, name]) => name);
+
+describe('svc diff', () => {
+    let root;
+    beforeEach(() => {
+        root = createProject();
+        snapshot(root, 'first', { 'src/lib/a.js': 'one\ntwo\n', 'srcx/b.js': 'b\n', 'keep.txt': 'keep\n' });
+        snapshot(root, 'second', { 'src/lib/a.js': 'one\nTWO\n', 'srcx/b.js': 'b2\n' });
+    });
+    afterEach(() => removeProject(root));
+
+    test('compares the working tree with the head snapshot by default', () => {
+        writeFiles(root, { 'keep.txt': 'changed\n' });
+        const { status, stdout } = svc(root, 'diff');
+
+        assert.equal(status, 0);
+        assert.match(stdout, /Diff Between Snapshot 2 and the Working Tree:/);
+        assert.deepEqual(diffedFiles(stdout), ['keep.txt']);
+        assert.match(stdout, /^1 - keep +│ 1 \+ changed$/m);
+    });
+
+    test('compares the working tree with a given snapshot', () => {
+        const { stdout } = svc(root, 'diff', '1');
+
+        assert.match(stdout, /Diff Between Snapshot 1 and the Working Tree:/);
+        assert.deepEqual(diffedFiles(stdout), ['src/lib/a.js', 'srcx/b.js']);
+    });
+
+    test('compares two snapshots', () => {
+        const { stdout } = svc(root, 'diff', '1', '2');
+
+        assert.deepEqual(diffedFiles(stdout), ['src/lib/a.js', 'srcx/b.js']);
+    });
+
+    test('reports a clean working tree', () => {
+        assert.match(svc(root, 'diff').stdout, /No changes found/);
+    });
+
+    test('--type keeps only files with that extension', () => {
+        writeFiles(root, { 'keep.txt': 'changed\n' });
+
+        assert.deepEqual(diffedFiles(svc(root, 'diff', '1', '--type', 'txt').stdout), ['keep.txt']);
+    });
+
+    test('--dir is relative to the current directory and matches whole directories', () => {
+        assert.deepEqual(diffedFiles(svc(path.join(root, 'src'), 'diff', '1', '2', '--dir', 'lib').stdout), ['src/lib/a.js']);
+        assert.deepEqual(diffedFiles(svc(root, 'diff', '1', '2', '--dir', 'src').stdout), ['src/lib/a.js']);
+    });
+
+    test('snapshots stored before the blob store are still compared', async () => {
+        await downgradeToInlineRows(root);
+        const { stdout } = svc(root, 'diff', '1', '2');
+
+        assert.deepEqual(diffedFiles(stdout), ['src/lib/a.js', 'srcx/b.js']);
+    });
+
+    test('rejects an unknown snapshot', () => {
+        assert.equal(svc(root, 'diff', '9').status, 1);
+    });
+});
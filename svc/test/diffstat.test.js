@@ -0,0 +1,107 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { countChanges, renderDiffStat, summarizeDiff } from '../utils/diffstat.js';
+import { createProject, removeProject, snapshot, svc } from './helpers.js';
+
+describe('countChanges', () => {
+    test('counts inserted and deleted lines', () => {
+        const change = countChanges({ before: { content: 'a\nb\nc\n' }, after: { content: 'a\nB\nc\nd\n' } });
+
+        assert.deepEqual(change, { binary: false, insertions: 2, deletions: 1 });
+    });
+
+    test('reports the sizes of binary files', () => {
+        const change = countChanges({ before: undefined, after: { content: Buffer.alloc(10), is_binary: true } });
+
+        assert.deepEqual(change, { binary: true, oldSize: 0, newSize: 10, insertions: 0, deletions: 0 });
+    });
+});
+
+describe('summarizeDiff', () => {
+    test('totals the changed files and rolls them up by directory', () => {
+        const { files, totals, directories } = summarizeDiff([
+            { path: 'src/a.js', before: { content: 'one\n' }, after: { content: 'two\n' } },
+            { path: 'src/new.js', before: undefined, after: { content: 'x\ny\n' } },
+            { path: 'gone.txt', before: { content: 'bye\n' }, after: undefined },
+        ]);
+
+        assert.deepEqual(
+            files.map((file) => file.path),
+            ['gone.txt', 'src/a.js', 'src/new.js']
+        );
+        assert.deepEqual(totals, { files: 3, insertions: 3, deletions: 2, added: 1, removed: 1, renamed: 0 });
+        assert.deepEqual(
+            directories.map(({ dir, files: count }) => [dir, count]),
+            [
+                ['.', 1],
+                ['src', 2],
+            ]
+        );
+    });
+
+    test('leaves out unchanged files, including rows without a blob hash', () => {
+        const { files, totals } = summarizeDiff([
+            { path: 'a.txt', before: { content: 'one\n' }, after: { content: 'two\n' } },
+            { path: 'b.txt', before: { content: 'same\n' }, after: { content: 'same\n' } },
+        ]);
+
+        assert.deepEqual(
+            files.map((file) => file.path),
+            ['a.txt']
+        );
+        assert.equal(totals.insertions, 1);
+        assert.equal(totals.deletions, 1);
+    });
+});
+
+describe('renderDiffStat', () => {
+    test('draws one bar per file and a totals line', () => {
+        const summary = summarizeDiff([
+            { path: 'a.txt', before: { content: 'a\n' }, after: { content: 'b\nc\n' } },
+            { path: 'img.bin', before: undefined, after: { content: Buffer.alloc(2048), is_binary: true } },
+        ]);
+
+        assert.deepEqual(renderDiffStat(summary, 80), [
+            ' a.txt   | 3 ++-',
+            ' img.bin | Bin 0 B → 2.0 KB',
+            ' 2 files changed, 2 insertions(+), 1 deletion(-); 1 added',
+        ]);
+    });
+
+    test('renders nothing when nothing changed', () => {
+        assert.deepEqual(renderDiffStat(summarizeDiff([])), []);
+    });
+});
+
+describe('svc diff --stat', () => {
+    let root;
+    before(() => {
+        root = createProject();
+        snapshot(root, 'first', { 'src/lib/a.js': 'one\ntwo\n', 'srcx/b.js': 'b\n', 'keep.txt': 'keep\n' });
+        snapshot(root, 'second', { 'src/lib/a.js': 'one\nTWO\n', 'srcx/b.js': 'b2\n' });
+    });
+    after(() => removeProject(root));
+
+    test('prints only the summary of the changed files', () => {
+        const { status, stdout } = svc(root, 'diff', '1', '2', '--stat');
+
+        assert.equal(status, 0);
+        assert.match(stdout, /src\/lib\/a\.js \| 2 \+-/);
+        assert.match(stdout, /2 files changed, 2 insertions\(\+\), 2 deletions\(-\)/);
+        assert.doesNotMatch(stdout, /keep\.txt|│/);
+    });
+
+    test('the full diff ends with the same summary', () => {
+        const { stdout } = svc(root, 'diff', '1', '2');
+
+        assert.match(stdout, /Summary:\n src\/lib\/a\.js \| 2 \+-\n srcx\/b\.js {4}\| 2 \+-\n 2 files changed/);
+    });
+
+    test('reports a clean comparison', () => {
+        assert.match(svc(root, 'diff', '2', '--stat').stdout, /No changes found\./);
+    });
+
+    test('cannot be combined with --patch', () => {
+        assert.equal(svc(root, 'diff', '1', '2', '--stat', '--patch').status, 2);
+    });
+});
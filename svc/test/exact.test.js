@@ -0,0 +1,65 @@
+import fs from 'fs';
+import path from 'path';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createProject, exists, removeProject, snapshot, svc, writeFiles } from './helpers.js';
+
+describe('svc revert --exact', () => {
+    let root;
+    beforeEach(() => {
+        root = createProject();
+        snapshot(root, 'first', { 'a.txt': 'one\n' });
+        snapshot(root, 'second', { 'b.txt': 'tracked\n', 'dir/c.txt': 'tracked\n' });
+    });
+    afterEach(() => removeProject(root));
+
+    test('removes tracked files the snapshot does not contain and their empty directories', () => {
+        const { status, stdout } = svc(root, 'revert', '1', '--exact', '-y', '--no-backup');
+
+        assert.equal(status, 0);
+        assert.match(stdout, /Removed: b\.txt/);
+        assert.equal(exists(root, 'b.txt'), false);
+        assert.equal(exists(root, 'dir'), false);
+        assert.equal(exists(root, 'a.txt'), true);
+    });
+
+    test('leaves untracked files alone unless --untracked is given', () => {
+        writeFiles(root, { 'scratch.txt': 'mine\n' });
+        svc(root, 'revert', '1', '--exact', '-y', '--no-backup');
+        assert.equal(exists(root, 'scratch.txt'), true);
+
+        svc(root, 'revert', '1', '--exact', '--untracked', '-y', '--no-backup');
+        assert.equal(exists(root, 'scratch.txt'), false);
+    });
+
+    test('never removes files matched by .svcignore', () => {
+        fs.appendFileSync(path.join(root, '.svcignore'), '\n*.bak\n');
+        writeFiles(root, { 'debug.log': 'ignored\n', 'notes.bak': 'ignored\n' });
+        svc(root, 'revert', '1', '--exact', '--untracked', '-y', '--no-backup');
+
+        assert.equal(exists(root, 'debug.log'), true);
+        assert.equal(exists(root, 'notes.bak'), true);
+        assert.equal(exists(root, '.svcignore'), true);
+    });
+
+    test('--dry-run lists the removals', () => {
+        const { status, stdout } = svc(root, 'revert', '1', '--exact', '--dry-run');
+
+        assert.equal(status, 0);
+        assert.match(stdout, /Remove \(2\):\n {2}b\.txt \(not in snapshot\)\n {2}dir\/c\.txt \(not in snapshot\)/);
+        assert.equal(exists(root, 'b.txt'), true);
+    });
+
+    test('is a usage error without -y when input is not a terminal', () => {
+        const { status, stderr } = svc(root, 'revert', '1', '--exact');
+
+        assert.equal(status, 2);
+        assert.match(stderr, /Pass -y to confirm/);
+        assert.equal(exists(root, 'b.txt'), true);
+    });
+
+    test('-y and --untracked require --exact', () => {
+        assert.equal(svc(root, 'revert', '1', '-y').status, 2);
+        assert.equal(svc(root, 'revert', '1', '--untracked').status, 2);
+    });
+});
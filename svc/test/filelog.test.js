@@ -0,0 +1,57 @@
+import fs from 'fs';
+import path from 'path';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createProject, removeProject, snapshot, svc } from './helpers.js';
+
+// Log lines without their timestamps
+const fileLog = (root, ...args) =>
+    svc(root, 'log', ...args)
+        .stdout.split('\n')
+        .slice(2)
+        .filter(Boolean)
+        .map((line) => line.replace(/ \(\d{4}-[^)]*\)/, ''));
+
+describe('svc log <path>', () => {
+    let root;
+    beforeEach(() => {
+        root = createProject();
+        snapshot(root, 'first', { 'a.txt': 'one\ntwo\n', 'b.txt': 'b\n' });
+        snapshot(root, 'second', { 'b.txt': 'b2\n' });
+        snapshot(root, 'third', { 'a.txt': 'one\nTWO\nthree\n' });
+    });
+    afterEach(() => removeProject(root));
+
+    test('lists the snapshots that changed the file with the size of each change', () => {
+        assert.deepEqual(fileLog(root, 'a.txt'), ['3 third modified +2 -1', '1 first added +2 -0']);
+    });
+
+    test('--from starts the history at another snapshot', () => {
+        assert.deepEqual(fileLog(root, 'a.txt', '--from', '2'), ['1 first added +2 -0']);
+        assert.match(svc(root, 'log', 'a.txt', '--from', '2').stdout, /History of "a\.txt" from snapshot 2:/);
+    });
+
+    test('reports binary changes by size', () => {
+        fs.writeFileSync(path.join(root, 'logo.png'), Buffer.alloc(2048));
+        svc(root, 'track');
+        svc(root, 'snapshot', '-m', 'logo');
+        fs.writeFileSync(path.join(root, 'logo.png'), Buffer.alloc(4096));
+        svc(root, 'snapshot', '-m', 'bigger logo');
+
+        assert.deepEqual(fileLog(root, 'logo.png'), [
+            '5 bigger logo modified Bin 2.0 KB → 4.0 KB',
+            '4 logo added Bin 0 B → 2.0 KB',
+        ]);
+    });
+
+    test('fails on a path the snapshot does not contain', () => {
+        const { status, stderr } = svc(root, 'log', 'missing.txt');
+
+        assert.equal(status, 1);
+        assert.match(stderr, /Path "missing\.txt" does not exist in snapshot 3\./);
+    });
+
+    test('--from needs a path', () => {
+        assert.equal(svc(root, 'log', '--from', '1').status, 2);
+    });
+});
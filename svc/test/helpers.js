@@ -0,0 +1,78 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import sqlite3 from 'sqlite3';
+import { all, close, run } from '../database/query.js';
+import { loadSnapshotFiles } from '../database/blobs.js';
+
+const CLI = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'cli', 'index.js');
+
+// Run the CLI in `cwd` the way a script would: no terminal on stdin and no colors
+export const svc = (cwd, ...args) => {
+    const result = spawnSync(process.execPath, [CLI, ...args], {
+        cwd,
+        encoding: 'utf-8',
+        stdio: ['ignore', 'pipe', 'pipe'],
+        env: { ...process.env, FORCE_COLOR: '0', COLUMNS: '120' },
+        timeout: 30000,
+    });
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+};
+
+// Write files into the project, creating their directories; `files` maps paths to contents
+export const writeFiles = (root, files) =>
+    Object.entries(files).forEach(([filePath, content]) => {
+        fs.mkdirSync(path.dirname(path.join(root, filePath)), { recursive: true });
+        fs.writeFileSync(path.join(root, filePath), content);
+    });
+
+export const readFile = (root, filePath) => fs.readFileSync(path.join(root, filePath), 'utf-8');
+
+export const exists = (root, filePath) => fs.existsSync(path.join(root, filePath));
+
+// Create an initialized project in a fresh temporary directory and resolve with its root
+export const createProject = () => {
+    const root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'svc-test-')));
+    const { status, stderr } = svc(root, 'init');
+    if (status !== 0) throw new Error(`svc init failed: ${stderr}`);
+    return root;
+};
+
+export const removeProject = (root) => fs.rmSync(root, { recursive: true, force: true });
+
+// Take a snapshot of the given files (written first) and fail loudly if it does not succeed
+export const snapshot = (root, message, files = {}) => {
+    writeFiles(root, files);
+    const { status, stderr } = svc(root, 'snapshot', '-m', message);
+    if (status !== 0) throw new Error(`svc snapshot failed: ${stderr}`);
+};
+
+// Resolve with the rows a query returns from the project's database
+export const queryDatabase = async (root, sql, params = []) => {
+    const db = new sqlite3.Database(path.join(root, '.svc', 'svc.db'));
+    try {
+        return await all(db, sql, params);
+    } finally {
+        await close(db);
+    }
+};
+
+// Rewrite every snapshot row the way versions before the blob store kept them: content inline
+// and no blob hash
+export const downgradeToInlineRows = async (root) => {
+    const db = new sqlite3.Database(path.join(root, '.svc', 'svc.db'));
+    try {
+        const rows = await all(
+            db,
+            `SELECT sf.id, sf.snapshot_id, f.path FROM snapshot_files sf INNER JOIN files f ON sf.file_id = f.id`
+        );
+        for (const row of rows) {
+            const file = (await loadSnapshotFiles(db, row.snapshot_id)).find((entry) => entry.path === row.path);
+            await run(db, `UPDATE snapshot_files SET content = ?, blob_hash = NULL WHERE id = ?`, [file.content, row.id]);
+        }
+    } finally {
+        await close(db);
+    }
+};
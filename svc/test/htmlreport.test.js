@@ -0,0 +1,74 @@
+import fs from 'fs';
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderHtmlReport } from '../utils/htmlreport.js';
+import { createProject, removeProject, snapshot, svc } from './helpers.js';
+
+const from = { id: 1, description: 'first', created_at: '2024-01-01 00:00:00' };
+const to = { id: 2, description: 'second <draft>', created_at: '2024-01-02 00:00:00' };
+
+describe('renderHtmlReport', () => {
+    test('renders a self-contained page describing both snapshots', () => {
+        const html = renderHtmlReport({ title: 'Diff', projectName: 'demo', from, to, fileDiffs: [] });
+
+        assert.match(html, /^<!DOCTYPE html>/);
+        assert.match(html, /<style>/);
+        assert.doesNotMatch(html, /<script|<link|src="http/);
+        assert.match(html, /Project demo/);
+        assert.match(html, /Snapshot 2: second &lt;draft&gt;/);
+        assert.match(html, /0 file\(s\) changed/);
+    });
+
+    test('lists each changed file with both views of its changes', () => {
+        const html = renderHtmlReport({
+            title: 'Diff',
+            from,
+            to,
+            fileDiffs: [
+                { path: 'a.txt', before: { content: 'one\n<b>\n' }, after: { content: 'one\n<i>\n' } },
+                { path: 'new.txt', before: undefined, after: { content: 'x\n' } },
+                { path: 'logo.png', before: undefined, after: { content: Buffer.alloc(8), is_binary: true } },
+            ],
+        });
+
+        assert.match(html, /3 file\(s\) changed/);
+        assert.match(html, /<a href="#file-0">a\.txt<\/a> <span class="status">modified<\/span>/);
+        assert.match(html, /<span class="status">added<\/span>/);
+        assert.match(html, /Binary file changed; no line diff available\./);
+        assert.match(html, /&lt;i&gt;/);
+        assert.doesNotMatch(html, /<i>/);
+        assert.match(html, /id="view-side"/);
+        assert.match(html, /id="view-unified"/);
+    });
+});
+
+describe('svc diff --html', () => {
+    let root;
+    let report;
+    before(() => {
+        root = createProject();
+        snapshot(root, 'first', { 'a.txt': 'one\n', 'keep.txt': 'keep\n' });
+        snapshot(root, 'second', { 'a.txt': 'two\n', 'b.txt': 'b\n' });
+        report = `${root}.html`;
+    });
+    after(() => {
+        removeProject(root);
+        fs.rmSync(report, { force: true });
+    });
+
+    test('writes a report with every changed file', () => {
+        const { status, stderr } = svc(root, 'diff', '1', '2', '--html', report);
+        const html = fs.readFileSync(report, 'utf-8');
+
+        assert.equal(status, 0);
+        assert.match(stderr, /HTML report of 2 changed file\(s\) written to/);
+        assert.match(html, /2 file\(s\) changed/);
+        assert.match(html, /Snapshot 1: first/);
+        assert.doesNotMatch(html, /keep\.txt/);
+    });
+
+    test('needs two snapshots and no other output format', () => {
+        assert.equal(svc(root, 'diff', '1', '--html', 'x.html').status, 2);
+        assert.equal(svc(root, 'diff', '1', '2', '--html', 'x.html', '--stat').status, 2);
+    });
+});
@@ -0,0 +1,98 @@
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { countConflicts, mergeText, renderMerge } from '../utils/merge.js';
+import { createProject, readFile, removeProject, snapshot, svc, writeFiles } from './helpers.js';
+
+const BASE = 'a\nb\nc\nd\ne\n';
+
+describe('mergeText', () => {
+    test('combines changes to separate lines', () => {
+        const chunks = mergeText(BASE, 'a\nB\nc\nd\ne\n', 'a\nb\nc\nd\nE\n');
+
+        assert.equal(countConflicts(chunks), 0);
+        assert.equal(renderMerge(chunks), 'a\nB\nc\nd\nE\n');
+    });
+
+    test('takes an identical change from both sides once', () => {
+        const chunks = mergeText(BASE, 'a\nX\nc\nd\ne\n', 'a\nX\nc\nd\ne\n');
+
+        assert.equal(countConflicts(chunks), 0);
+        assert.equal(renderMerge(chunks), 'a\nX\nc\nd\ne\n');
+    });
+
+    test('marks different changes to the same lines as a conflict', () => {
+        const chunks = mergeText(BASE, 'a\nours\nc\nd\ne\n', 'a\ntheirs\nc\nd\ne\n');
+
+        assert.equal(countConflicts(chunks), 1);
+        assert.equal(renderMerge(chunks), 'a\n<<<<<<< ours\nours\n=======\ntheirs\n>>>>>>> theirs\nc\nd\ne\n');
+    });
+
+    test('applies a resolution to each conflict', () => {
+        const chunks = mergeText(BASE, 'a\nours\nc\nd\ne\n', 'a\ntheirs\nc\nd\ne\n');
+
+        assert.equal(renderMerge(chunks, { resolutions: ['ours'] }), 'a\nours\nc\nd\ne\n');
+        assert.equal(renderMerge(chunks, { resolutions: ['theirs'] }), 'a\ntheirs\nc\nd\ne\n');
+        assert.equal(renderMerge(chunks, { resolutions: ['both'] }), 'a\nours\ntheirs\nc\nd\ne\n');
+    });
+
+    test('ends a conflicting side without a final newline before the next marker', () => {
+        const chunks = mergeText('x', 'ours', 'theirs');
+
+        assert.equal(renderMerge(chunks), '<<<<<<< ours\nours\n=======\ntheirs\n>>>>>>> theirs\n');
+    });
+});
+
+describe('svc merge', () => {
+    let root;
+    beforeEach(() => {
+        root = createProject();
+        snapshot(root, 'base', { 'f.txt': BASE, 'other.txt': 'other\n' });
+        svc(root, 'switch', '-c', 'feature');
+    });
+    afterEach(() => removeProject(root));
+
+    test('merges a branch changed apart from the current one and records both parents', () => {
+        snapshot(root, 'feature', { 'f.txt': 'a\nB\nc\nd\ne\n', 'new.txt': 'new\n' });
+        svc(root, 'switch', 'main');
+        snapshot(root, 'main', { 'f.txt': 'a\nb\nc\nd\nE\n' });
+
+        const { status, stdout } = svc(root, 'merge', 'feature');
+        assert.equal(status, 0, stdout);
+        assert.equal(readFile(root, 'f.txt'), 'a\nB\nc\nd\nE\n');
+        assert.equal(readFile(root, 'new.txt'), 'new\n');
+
+        snapshot(root, 'merged');
+        assert.match(svc(root, 'log').stdout, /\* {3}4 \(HEAD -> main\) merged[^\n]*\n\|\\/);
+    });
+
+    test('leaves conflict markers and fails when both sides changed the same lines', () => {
+        snapshot(root, 'feature', { 'f.txt': 'a\ntheirs\nc\nd\ne\n' });
+        svc(root, 'switch', 'main');
+        snapshot(root, 'main', { 'f.txt': 'a\nours\nc\nd\ne\n' });
+
+        const { status, stdout } = svc(root, 'merge', 'feature');
+        assert.equal(status, 1);
+        assert.match(stdout, /f\.txt \(1 region\(s\)\)/);
+        assert.equal(
+            readFile(root, 'f.txt'),
+            'a\n<<<<<<< ours (main)\nours\n=======\ntheirs\n>>>>>>> theirs (feature)\nc\nd\ne\n'
+        );
+    });
+
+    test('refuses to overwrite uncommitted changes without --force', () => {
+        snapshot(root, 'feature', { 'f.txt': 'a\nB\nc\nd\ne\n' });
+        svc(root, 'switch', 'main');
+        writeFiles(root, { 'f.txt': 'local\n' });
+
+        assert.equal(svc(root, 'merge', 'feature').status, 1);
+        assert.equal(readFile(root, 'f.txt'), 'local\n');
+    });
+
+    test('has nothing to do when the other side is an ancestor', () => {
+        snapshot(root, 'feature', { 'f.txt': 'a\nB\nc\nd\ne\n' });
+
+        const { status, stdout } = svc(root, 'merge', 'main');
+        assert.equal(status, 0);
+        assert.match(stdout, /Already up to date\./);
+    });
+});
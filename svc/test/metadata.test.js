@@ -0,0 +1,65 @@
+import fs from 'fs';
+import path from 'path';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { metadataChanged, readFileEntry } from '../utils/metadata.js';
+import { createProject, removeProject, snapshot, svc, writeFiles } from './helpers.js';
+
+const modeOf = (filePath) => fs.lstatSync(filePath).mode & 0o777;
+
+describe('file modes, symlinks and mtimes', () => {
+    let root;
+    const at = (filePath) => path.join(root, filePath);
+    beforeEach(() => {
+        root = createProject();
+        writeFiles(root, { 'run.sh': '#!/bin/sh\necho hi\n', 'config.yml': 'a: 1\n' });
+        fs.chmodSync(at('run.sh'), 0o755);
+        fs.symlinkSync('config.yml', at('current.yml'));
+        fs.utimesSync(at('config.yml'), new Date(), new Date('2020-01-02T03:04:05Z'));
+        snapshot(root, 'first');
+    });
+    afterEach(() => removeProject(root));
+
+    test('readFileEntry and metadataChanged compare what a snapshot records', () => {
+        const entry = readFileEntry(at('current.yml'));
+        assert.equal(entry.symlinkTarget, 'config.yml');
+        assert.equal(metadataChanged(at('current.yml'), { symlink_target: 'config.yml' }), false);
+        assert.equal(metadataChanged(at('current.yml'), { symlink_target: 'other.yml' }), true);
+        assert.equal(metadataChanged(at('run.sh'), { mode: 0o755 }), false);
+        assert.equal(metadataChanged(at('run.sh'), { mode: 0o644 }), true);
+        assert.equal(metadataChanged(at('run.sh'), { mode: null }), false);
+    });
+
+    test('revert recreates modes, symlinks and mtimes', () => {
+        fs.rmSync(at('run.sh'));
+        fs.rmSync(at('current.yml'));
+        writeFiles(root, { 'config.yml': 'a: 2\n' });
+
+        assert.equal(svc(root, 'revert', '1', '--no-backup').status, 0);
+        assert.equal(modeOf(at('run.sh')), 0o755);
+        assert.equal(fs.readlinkSync(at('current.yml')), 'config.yml');
+        assert.equal(fs.readFileSync(at('config.yml'), 'utf-8'), 'a: 1\n');
+        assert.equal(fs.statSync(at('config.yml')).mtime.toISOString(), '2020-01-02T03:04:05.000Z');
+    });
+
+    test('a mode change shows in status and is restored by revert', () => {
+        fs.chmodSync(at('run.sh'), 0o644);
+        assert.equal(svc(root, 'status', '--porcelain').stdout, 'M run.sh\n');
+
+        assert.match(svc(root, 'revert', '1', '--dry-run').stdout, /Overwrite \(1\):\n {2}run\.sh/);
+        assert.equal(svc(root, 'revert', '1', '--no-backup').status, 0);
+        assert.equal(modeOf(at('run.sh')), 0o755);
+        assert.equal(svc(root, 'status', '--porcelain').stdout, '');
+    });
+
+    test('a symlink pointed elsewhere shows in status and is restored by revert', () => {
+        writeFiles(root, { 'other.yml': 'a: 1\n' });
+        svc(root, 'snapshot', '-m', 'other');
+        fs.rmSync(at('current.yml'));
+        fs.symlinkSync('other.yml', at('current.yml'));
+        assert.equal(svc(root, 'status', '--porcelain').stdout, 'M current.yml\n');
+
+        svc(root, 'revert', '2', '--no-backup');
+        assert.equal(fs.readlinkSync(at('current.yml')), 'config.yml');
+    });
+});
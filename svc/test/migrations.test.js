@@ -0,0 +1,100 @@
+import path from 'path';
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import sqlite3 from 'sqlite3';
+import { all, close, run } from '../database/query.js';
+import {
+    LATEST_VERSION,
+    SchemaVersionError,
+    getAppliedMigrations,
+    getSchemaVersion,
+    migrate,
+    migrations,
+} from '../database/migrations.js';
+import { createProject, queryDatabase, removeProject, svc } from './helpers.js';
+
+// Run `work` against a fresh in-memory database
+const withDatabase = async (work) => {
+    const db = new sqlite3.Database(':memory:');
+    try {
+        return await work(db);
+    } finally {
+        await close(db);
+    }
+};
+
+describe('migrate', () => {
+    test('numbers migrations in ascending order', () => {
+        const versions = migrations.map(({ version }) => version);
+        assert.deepEqual(versions, [...versions].sort((a, b) => a - b));
+        assert.equal(new Set(versions).size, versions.length);
+    });
+
+    test('brings an empty database to the latest version once', () =>
+        withDatabase(async (db) => {
+            assert.equal(await getSchemaVersion(db), 0);
+
+            assert.equal((await migrate(db)).length, migrations.length);
+            assert.equal(await getSchemaVersion(db), LATEST_VERSION);
+            assert.equal((await getAppliedMigrations(db)).length, migrations.length);
+            assert.deepEqual(await migrate(db), []);
+        }));
+
+    test('upgrades an unversioned database whose columns were added on demand', () =>
+        withDatabase(async (db) => {
+            await run(db, `CREATE TABLE projects (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT NOT NULL UNIQUE, secret_key TEXT)`);
+            await run(db, `INSERT INTO projects (name, secret_key) VALUES ('old', 'key')`);
+
+            await migrate(db);
+            assert.deepEqual(await all(db, `SELECT name, secret_key FROM projects`), [{ name: 'old', secret_key: 'key' }]);
+            assert.equal(await getSchemaVersion(db), LATEST_VERSION);
+        }));
+
+    test('refuses a database written by a newer version', () =>
+        withDatabase(async (db) => {
+            await migrate(db);
+            await run(db, `INSERT INTO schema_version (version, description) VALUES (?, 'from the future')`, [LATEST_VERSION + 1]);
+
+            await assert.rejects(migrate(db), SchemaVersionError);
+        }));
+
+    test('reading the version leaves an unversioned database untouched', () =>
+        withDatabase(async (db) => {
+            assert.equal(await getSchemaVersion(db), 0);
+            assert.deepEqual(await getAppliedMigrations(db), []);
+            assert.deepEqual(await all(db, `SELECT name FROM sqlite_master`), []);
+        }));
+});
+
+describe('svc schema', () => {
+    let root;
+    before(() => {
+        root = createProject();
+    });
+    after(() => removeProject(root));
+
+    test('reports the version and the applied migrations', () => {
+        const { status, stdout } = svc(root, 'schema');
+
+        assert.equal(status, 0);
+        assert.match(stdout, new RegExp(`Schema version: ${LATEST_VERSION} \\(this CLI supports up to ${LATEST_VERSION}\\)`));
+        assert.match(stdout, new RegExp(`^ +1 {2}${migrations[0].description}`, 'm'));
+    });
+
+    test('reads a database from a newer version without migrating it', async () => {
+        const dbPath = path.join(root, '.svc', 'svc.db');
+        const db = new sqlite3.Database(dbPath);
+        await run(db, `INSERT INTO schema_version (version, description) VALUES (999, 'from the future')`);
+        await close(db);
+
+        const { status, stdout } = svc(root, 'schema');
+        assert.equal(status, 0);
+        assert.match(stdout, /Schema version: 999/);
+        assert.match(stdout, /written by a newer svc/);
+
+        const other = svc(root, 'status');
+        assert.equal(other.status, 1);
+        assert.match(other.stderr, /newer than this CLI supports/);
+        assert.equal((await queryDatabase(root, `SELECT MAX(version) AS version FROM schema_version`))[0].version, 999);
+    });
+});
@@ -0,0 +1,117 @@
+import fs from 'fs';
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyHunks, createdContent, formatFilePatch, parsePatchFiles } from '../utils/patch.js';
+import { createProject, downgradeToInlineRows, exists, readFile, removeProject, snapshot, svc, writeFiles } from './helpers.js';
+
+const entry = (content, blobHash = null) => ({ content, blob_hash: blobHash, is_binary: false });
+
+describe('formatFilePatch', () => {
+    test('round-trips a modification through parsePatchFiles and applyHunks', () => {
+        const oldText = 'one\ntwo\nthree\nfour\nfive\nsix\nseven\neight\n';
+        const newText = 'one\nTWO\nthree\nfour\nfive\nsix\nseven\neight\nnine\n';
+        const [parsed] = parsePatchFiles(formatFilePatch('a.txt', entry(oldText, 'x'), entry(newText, 'y')));
+
+        assert.equal(parsed.oldPath, 'a.txt');
+        assert.equal(parsed.newPath, 'a.txt');
+        assert.deepEqual(applyHunks(oldText, parsed.hunks), { content: newText, failed: [] });
+    });
+
+    test('round-trips added and removed files', () => {
+        const patch =
+            formatFilePatch('new.txt', undefined, entry('hello\nworld\n', 'x')) +
+            formatFilePatch('gone.txt', entry('bye\n', 'y'), undefined);
+        const [added, removed] = parsePatchFiles(patch);
+
+        assert.equal(added.oldPath, null);
+        assert.equal(createdContent(added.hunks), 'hello\nworld\n');
+        assert.equal(removed.newPath, null);
+        assert.equal(applyHunks('bye\n', removed.hunks).content, '');
+    });
+
+    test('diffs rows without a blob hash by their content', () => {
+        assert.match(formatFilePatch('a.txt', entry('old\n'), entry('new\n')), /^-old\n\+new$/m);
+        assert.equal(formatFilePatch('a.txt', entry('same\n'), entry('same\n')), '');
+    });
+
+    test('marks binary changes without a hunk', () => {
+        const binary = { content: Buffer.from([0, 1]), blob_hash: 'b', is_binary: true };
+        const [parsed] = parsePatchFiles(formatFilePatch('img.bin', binary, { ...binary, blob_hash: 'c' }));
+
+        assert.equal(parsed.binary, true);
+        assert.deepEqual(parsed.hunks, []);
+    });
+
+    test('reports hunks that no longer apply', () => {
+        const [parsed] = parsePatchFiles(formatFilePatch('a.txt', entry('a\nb\n', 'x'), entry('a\nc\n', 'y')));
+        const result = applyHunks('something else\n', parsed.hunks);
+
+        assert.equal(result.failed.length, 1);
+        assert.equal(result.content, 'something else\n');
+    });
+});
+
+describe('svc diff --patch and svc apply', () => {
+    let root;
+    let patchFile;
+    before(() => {
+        root = createProject();
+        snapshot(root, 'first', { 'a.txt': 'one\ntwo\nthree\n', 'old.txt': 'remove me\n' });
+        writeFiles(root, { 'a.txt': 'one\n2\nthree\n', 'new/b.txt': 'added\n' });
+        svc(root, 'track');
+        svc(root, 'snapshot', '-m', 'second');
+        patchFile = `${root}.patch`;
+    });
+    after(() => {
+        removeProject(root);
+        fs.rmSync(patchFile, { force: true });
+    });
+
+    test('a patch between snapshots recreates the later one', () => {
+        const { status, stdout } = svc(root, 'diff', '1', '2', '--patch');
+        assert.equal(status, 0);
+        fs.writeFileSync(patchFile, stdout);
+
+        assert.equal(svc(root, 'revert', '1', '--exact', '-y', '--no-backup').status, 0);
+        assert.equal(exists(root, 'new/b.txt'), false);
+        assert.equal(readFile(root, 'a.txt'), 'one\ntwo\nthree\n');
+
+        const applied = svc(root, 'apply', patchFile);
+        assert.equal(applied.status, 0, applied.stderr);
+        assert.equal(readFile(root, 'a.txt'), 'one\n2\nthree\n');
+        assert.equal(readFile(root, 'new/b.txt'), 'added\n');
+        assert.match(svc(root, 'diff', '2').stdout, /No changes found\./);
+    });
+
+    test('a patch of the working tree goes to stdout or to -o', () => {
+        writeFiles(root, { 'a.txt': 'one\n2\nthree\nfour\n' });
+        assert.match(svc(root, 'diff', '--patch').stdout, /^ three\n\+four$/m);
+
+        const output = `${root}-working.patch`;
+        try {
+            assert.equal(svc(root, 'diff', '-o', output).status, 0);
+            assert.match(fs.readFileSync(output, 'utf-8'), /^\+four$/m);
+        } finally {
+            fs.rmSync(output, { force: true });
+            writeFiles(root, { 'a.txt': 'one\n2\nthree\n' });
+        }
+    });
+
+    test('apply --check leaves the working tree alone and fails on conflicts', () => {
+        writeFiles(root, { 'a.txt': 'something else\n' });
+        const { status } = svc(root, 'apply', '--check', patchFile);
+
+        assert.equal(status, 1);
+        assert.equal(readFile(root, 'a.txt'), 'something else\n');
+    });
+
+    test('snapshots stored before the blob store still produce a patch', async () => {
+        await downgradeToInlineRows(root);
+        const { status, stdout } = svc(root, 'diff', '1', '2', '--patch');
+
+        assert.equal(status, 0);
+        assert.match(stdout, /^diff --git a\/a\.txt b\/a\.txt$/m);
+        assert.match(stdout, /^-two\n\+2$/m);
+        assert.doesNotMatch(stdout, /\.svcignore/);
+    });
+});
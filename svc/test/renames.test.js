@@ -0,0 +1,139 @@
+import fs from 'fs';
+import path from 'path';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectRenames, sameContent } from '../utils/renames.js';
+import { createProject, downgradeToInlineRows, queryDatabase, removeProject, snapshot, svc } from './helpers.js';
+
+// Log lines without their timestamps and change sizes
+const fileLog = (root, ...args) =>
+    svc(root, 'log', ...args)
+        .stdout.split('\n')
+        .slice(2)
+        .filter(Boolean)
+        .map((line) => line.replace(/ \(\d{4}-[^)]*\)/, '').replace(/ \+\d+ -\d+$/, ''));
+
+// Rename a file in the project and snapshot the result, tracking the new path
+const move = (root, from, to, content, description) => {
+    fs.mkdirSync(path.dirname(path.join(root, to)), { recursive: true });
+    fs.renameSync(path.join(root, from), path.join(root, to));
+    if (content !== undefined) fs.writeFileSync(path.join(root, to), content);
+    svc(root, 'track');
+    svc(root, 'snapshot', '-m', description);
+};
+
+describe('sameContent', () => {
+    test('compares blob hashes when both sides have one', () => {
+        assert.equal(sameContent({ blob_hash: 'a', content: 'x' }, { blob_hash: 'a', content: 'y' }), true);
+        assert.equal(sameContent({ blob_hash: 'a', content: 'x' }, { blob_hash: 'b', content: 'x' }), false);
+    });
+
+    test('compares content for rows stored before the blob store', () => {
+        assert.equal(sameContent({ blob_hash: null, content: 'x' }, { blob_hash: null, content: 'x' }), true);
+        assert.equal(sameContent({ blob_hash: null, content: 'x' }, { blob_hash: null, content: 'y' }), false);
+        assert.equal(sameContent({ content: Buffer.from('ab') }, { blob_hash: 'h', content: Buffer.from('ab') }), true);
+    });
+});
+
+describe('detectRenames', () => {
+    test('pairs exact and similar moves', () => {
+        const removed = [
+            { path: 'a/one.txt', content: 'same\n' },
+            { path: 'two.txt', content: 'l1\nl2\nl3\nl4\n' },
+        ];
+        const added = [
+            { path: 'b/one.txt', content: 'same\n' },
+            { path: 'renamed.txt', content: 'l1\nl2\nl3\nchanged\n' },
+        ];
+        const pairs = detectRenames(removed, added).map(({ from, to, similarity }) => [from.path, to.path, similarity]);
+
+        assert.deepEqual(pairs, [
+            ['a/one.txt', 'b/one.txt', 1],
+            ['two.txt', 'renamed.txt', 0.75],
+        ]);
+    });
+
+    test('prefers an unchanged file name among identical candidates', () => {
+        const removed = [
+            { path: 'x.txt', content: 'same\n' },
+            { path: 'old/y.txt', content: 'same\n' },
+        ];
+        const [rename] = detectRenames(removed, [{ path: 'new/y.txt', content: 'same\n' }]);
+
+        assert.equal(rename.from.path, 'old/y.txt');
+    });
+
+    test('leaves dissimilar, empty and changed binary files unpaired', () => {
+        assert.deepEqual(detectRenames([{ path: 'a', content: 'a\nb\n' }], [{ path: 'b', content: 'c\nd\n' }]), []);
+        assert.deepEqual(detectRenames([{ path: 'a', content: '' }], [{ path: 'b', content: '' }]), []);
+
+        const binary = (filePath, bytes) => ({ path: filePath, content: Buffer.from(bytes), is_binary: true });
+        assert.deepEqual(detectRenames([binary('a', [0, 1, 2])], [binary('b', [0, 1, 3])]), []);
+        assert.equal(detectRenames([binary('a', [0, 1, 2])], [binary('b', [0, 1, 2])]).length, 1);
+    });
+
+    test('honors the similarity threshold', () => {
+        const removed = [{ path: 'a', content: 'l1\nl2\nl3\nl4\n' }];
+        const added = [{ path: 'b', content: 'l1\nl2\nl3\nchanged\n' }];
+
+        assert.equal(detectRenames(removed, added, 0.8).length, 0);
+        assert.equal(detectRenames(removed, added, 0.7).length, 1);
+    });
+});
+
+describe('renames in diffs and file history', () => {
+    let root;
+    beforeEach(() => {
+        root = createProject();
+        snapshot(root, 'first', { 'old.txt': 'l1\nl2\nl3\nl4\n', 'keep.txt': 'keep\n' });
+        move(root, 'old.txt', 'new.txt', 'l1\nl2\nl3\nL4\n', 'move');
+    });
+    afterEach(() => removeProject(root));
+
+    test('diff shows a rename as one file', () => {
+        const { stdout } = svc(root, 'diff', '1', '2');
+
+        assert.match(stdout, /File: old\.txt → new\.txt \(renamed, 75% similar\)/);
+        assert.doesNotMatch(stdout, /File: old\.txt \(removed\)/);
+    });
+
+    test('-M raises the threshold and --no-renames turns detection off', () => {
+        assert.match(svc(root, 'diff', '1', '2', '-M', '90').stdout, /File: old\.txt \(removed\)/);
+        assert.match(svc(root, 'diff', '1', '2', '--no-renames').stdout, /File: new\.txt \(added\)/);
+        assert.equal(svc(root, 'diff', '1', '2', '-M', '0').status, 2);
+    });
+
+    test('log follows a file back across renames', () => {
+        move(root, 'new.txt', 'moved/newer.txt', undefined, 'again');
+
+        assert.deepEqual(fileLog(root, 'moved/newer.txt'), [
+            '3 again renamed from new.txt',
+            '2 move renamed from old.txt as new.txt',
+            '1 first added as old.txt',
+        ]);
+    });
+
+    test('log stops where a path was added rather than renamed', () => {
+        snapshot(root, 'unrelated', { 'other.txt': 'nothing alike\n' });
+
+        assert.deepEqual(fileLog(root, 'other.txt'), ['3 unrelated added']);
+    });
+
+    test('log follows renames recorded before the blob store', async () => {
+        await downgradeToInlineRows(root);
+
+        assert.deepEqual(fileLog(root, 'new.txt'), ['2 move renamed from old.txt', '1 first added as old.txt']);
+    });
+
+    test('log decodes only the contents of the versions it lists', async () => {
+        const [{ blob_hash: hash }] = await queryDatabase(
+            root,
+            `SELECT sf.blob_hash FROM snapshot_files sf INNER JOIN files f ON sf.file_id = f.id WHERE f.path = 'keep.txt'`
+        );
+        await queryDatabase(root, `UPDATE blobs SET content = 'not gzip', codec = 'gzip' WHERE hash = ?`, [hash]);
+
+        const { status, stdout } = svc(root, 'log', 'new.txt');
+        assert.equal(status, 0);
+        assert.match(stdout, /renamed from old\.txt/);
+    });
+});
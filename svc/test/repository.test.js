@@ -0,0 +1,135 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findRepositoryRoot, normalizeProjectPath, readRepositoryConfig } from '../utils/repository.js';
+import { createProject, exists, queryDatabase, removeProject, snapshot, svc, writeFiles } from './helpers.js';
+
+describe('normalizeProjectPath', () => {
+    test('strips leading ./ and trailing separators', () => {
+        assert.equal(normalizeProjectPath('./src/lib/'), 'src/lib');
+        assert.equal(normalizeProjectPath('src//a.js'), 'src/a.js');
+    });
+});
+
+describe('repository discovery', () => {
+    let root;
+    beforeEach(() => {
+        root = createProject();
+    });
+    afterEach(() => removeProject(root));
+
+    test('finds the root from a subdirectory', () => {
+        fs.mkdirSync(path.join(root, 'src', 'lib'), { recursive: true });
+
+        assert.equal(findRepositoryRoot(path.join(root, 'src', 'lib')), root);
+        assert.equal(findRepositoryRoot(os.tmpdir()), null);
+    });
+
+    test('commands run in a subdirectory use the project database', () => {
+        writeFiles(root, { 'src/a.txt': 'a\n' });
+        const { status } = svc(path.join(root, 'src'), 'snapshot', '-m', 'from src');
+
+        assert.equal(status, 0);
+        assert.equal(exists(root, 'src/.svc'), false);
+        assert.deepEqual(fs.readdirSync(path.join(root, 'src')), ['a.txt']);
+        assert.match(svc(root, 'log').stdout, /1 \(HEAD -> main\) from src/);
+
+        writeFiles(root, { 'src/a.txt': 'changed\n' });
+        assert.equal(svc(path.join(root, 'src'), 'status', '--porcelain').stdout, 'M src/a.txt\n');
+    });
+
+    test('history survives renaming the project folder', () => {
+        snapshot(root, 'first', { 'a.txt': 'a\n' });
+        const { name } = readRepositoryConfig(root);
+        const moved = `${root}-moved`;
+        fs.renameSync(root, moved);
+        try {
+            const { status, stdout } = svc(moved, 'log');
+            assert.equal(status, 0);
+            assert.match(stdout, new RegExp(`Snapshot History for "${name}"`));
+            assert.match(stdout, /1 \(HEAD -> main\) first/);
+        } finally {
+            fs.renameSync(moved, root);
+        }
+    });
+
+    test('commands outside a project fail with a hint to run init', () => {
+        const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'svc-test-'));
+        try {
+            const { status, stderr } = svc(outside, 'status');
+            assert.equal(status, 1);
+            assert.match(stderr, /Project not initialized\. Run "svc init" first\./);
+            assert.deepEqual(fs.readdirSync(outside), []);
+        } finally {
+            removeProject(outside);
+        }
+    });
+});
+
+describe('svc init', () => {
+    let root;
+    beforeEach(() => {
+        root = createProject();
+        snapshot(root, 'first', { 'a.txt': 'a\n' });
+    });
+    afterEach(() => removeProject(root));
+
+    test('leaves an initialized project alone', () => {
+        const config = readRepositoryConfig(root);
+        const { status, stderr } = svc(root, 'init');
+
+        assert.equal(status, 0);
+        assert.match(stderr, /already initialized/);
+        assert.deepEqual(readRepositoryConfig(root), config);
+    });
+
+    test('re-creates a missing config under the same identity', () => {
+        const config = readRepositoryConfig(root);
+        fs.rmSync(path.join(root, '.svc', 'config.json'));
+
+        assert.equal(svc(root, 'init').status, 0);
+        assert.deepEqual(readRepositoryConfig(root), config);
+        assert.match(svc(root, 'log').stdout, /1 \(HEAD -> main\) first/);
+    });
+
+    test('reports a corrupt config and repairs it', () => {
+        fs.writeFileSync(path.join(root, '.svc', 'config.json'), '{ not json');
+
+        const broken = svc(root, 'status');
+        assert.equal(broken.status, 1);
+        assert.match(broken.stderr, /config\.json is corrupt .*Run "svc init" to repair it\./);
+
+        assert.equal(svc(root, 'init').status, 0);
+        assert.equal(svc(root, 'status').status, 0);
+    });
+
+    test('re-creates a lost project row and keeps its snapshots', async () => {
+        await queryDatabase(root, `DELETE FROM projects`);
+
+        assert.equal(svc(root, 'status').status, 1);
+        assert.equal(svc(root, 'init').status, 0);
+        assert.match(svc(root, 'log').stdout, /1 \(HEAD -> main\) first/);
+    });
+});
+
+describe('svc init with a database from older versions', () => {
+    let root;
+    beforeEach(() => {
+        root = createProject();
+        snapshot(root, 'first', { 'a.txt': 'a\n' });
+    });
+    afterEach(() => removeProject(root));
+
+    test('moves <folder>.db into the metadata directory', () => {
+        fs.renameSync(path.join(root, '.svc', 'svc.db'), path.join(root, `${path.basename(root)}.db`));
+        fs.rmSync(path.join(root, '.svc'), { recursive: true });
+
+        const { status, stdout } = svc(root, 'init');
+        assert.equal(status, 0);
+        assert.match(stdout, /Moved existing database .*\.db into \.svc\//);
+        assert.equal(exists(root, `${path.basename(root)}.db`), false);
+        assert.match(svc(root, 'log').stdout, /1 \(HEAD -> main\) first/);
+    });
+});
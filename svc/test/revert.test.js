@@ -0,0 +1,68 @@
+import fs from 'fs';
+import path from 'path';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createProject, exists, queryDatabase, readFile, removeProject, snapshot, svc, writeFiles } from './helpers.js';
+
+describe('svc revert', () => {
+    let root;
+    beforeEach(() => {
+        root = createProject();
+        snapshot(root, 'first', { 'a.txt': 'one\n' });
+        writeFiles(root, { 'a.txt': 'two\n', 'b.txt': 'extra\n' });
+        svc(root, 'track');
+        snapshot(root, 'second');
+    });
+    afterEach(() => removeProject(root));
+
+    test('--dry-run lists the changes and touches nothing', () => {
+        writeFiles(root, { 'a.txt': 'dirty\n' });
+        const { status, stdout } = svc(root, 'revert', '1', '--dry-run');
+
+        assert.equal(status, 0);
+        assert.match(stdout, /Overwrite \(1\):\n {2}a\.txt \(unsnapshotted changes\)/);
+        assert.equal(readFile(root, 'a.txt'), 'dirty\n');
+        assert.doesNotMatch(svc(root, 'log').stdout, /Safety snapshot/);
+    });
+
+    test('takes a safety snapshot without moving the branch', () => {
+        writeFiles(root, { 'a.txt': 'dirty\n' });
+        const { status, stderr } = svc(root, 'revert', '1');
+
+        assert.equal(status, 0, stderr);
+        assert.equal(readFile(root, 'a.txt'), 'one\n');
+        assert.match(stderr, /Safety snapshot 3 saved\. Undo this revert with: svc revert 3/);
+        assert.match(svc(root, 'branch').stdout, /\* main {2}2: second/);
+
+        assert.equal(svc(root, 'revert', '3', '--no-backup').status, 0);
+        assert.equal(readFile(root, 'a.txt'), 'dirty\n');
+    });
+
+    test('the safety snapshot does not start tracking untracked files', async () => {
+        writeFiles(root, { 'scratch.txt': 'mine\n' });
+        svc(root, 'revert', '1');
+
+        assert.deepEqual(await queryDatabase(root, `SELECT id FROM files WHERE path = 'scratch.txt'`), []);
+        assert.match(svc(root, 'status').stdout, /scratch\.txt \(untracked\)/);
+    });
+
+    test('a revert that only creates files takes no safety snapshot', () => {
+        fs.rmSync(path.join(root, 'b.txt'));
+        const { status, stdout } = svc(root, 'revert', '2');
+
+        assert.equal(status, 0);
+        assert.match(stdout, /Created: b\.txt/);
+        assert.doesNotMatch(svc(root, 'log').stdout, /Safety snapshot/);
+    });
+
+    test('--no-backup skips the safety snapshot', () => {
+        assert.equal(svc(root, 'revert', '1', '--no-backup').status, 0);
+        assert.doesNotMatch(svc(root, 'log').stdout, /Safety snapshot/);
+    });
+
+    test('keeps files the snapshot does not contain', () => {
+        svc(root, 'revert', '1', '--no-backup');
+
+        assert.equal(exists(root, 'b.txt'), true);
+    });
+});
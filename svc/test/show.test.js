@@ -0,0 +1,80 @@
+import fs from 'fs';
+import path from 'path';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFileSpec } from '../cli/commands/show.js';
+import { createProject, readFile, removeProject, snapshot, svc, writeFiles } from './helpers.js';
+
+describe('parseFileSpec', () => {
+    test('splits at the first colon', () => {
+        assert.deepEqual(parseFileSpec('3:src/a.txt'), { snapshot: '3', filePath: 'src/a.txt' });
+        assert.deepEqual(parseFileSpec('v1:notes:draft.txt'), { snapshot: 'v1', filePath: 'notes:draft.txt' });
+    });
+
+    test('rejects specs missing either side', () => {
+        assert.equal(parseFileSpec('a.txt'), null);
+        assert.equal(parseFileSpec(':a.txt'), null);
+        assert.equal(parseFileSpec('3:'), null);
+    });
+});
+
+describe('svc show', () => {
+    let root;
+    beforeEach(() => {
+        root = createProject();
+        snapshot(root, 'first', { 'a.txt': 'one\n', 'src/b.txt': 'bee\n' });
+        svc(root, 'tag', 'v1', '1');
+        snapshot(root, 'second', { 'a.txt': 'two\n' });
+    });
+    afterEach(() => removeProject(root));
+
+    test('prints a file from a snapshot without touching the working copy', () => {
+        const { status, stdout } = svc(root, 'show', '1:a.txt');
+
+        assert.equal(status, 0);
+        assert.equal(stdout, 'one\n');
+        assert.equal(readFile(root, 'a.txt'), 'two\n');
+    });
+
+    test('accepts tags and branch names as the snapshot', () => {
+        assert.equal(svc(root, 'show', 'v1:src/b.txt').stdout, 'bee\n');
+        assert.equal(svc(root, 'show', 'main:a.txt').stdout, 'two\n');
+    });
+
+    test('-o writes the file elsewhere and refuses to overwrite without --force', () => {
+        const written = svc(root, 'show', '1:a.txt', '-o', 'old-a.txt');
+        assert.equal(written.status, 0);
+        assert.equal(readFile(root, 'old-a.txt'), 'one\n');
+
+        writeFiles(root, { 'old-a.txt': 'mine\n' });
+        const refused = svc(root, 'show', '1:a.txt', '-o', 'old-a.txt');
+        assert.equal(refused.status, 1);
+        assert.match(refused.stderr, /already exists\. Use --force to overwrite it\./);
+        assert.equal(readFile(root, 'old-a.txt'), 'mine\n');
+
+        assert.equal(svc(root, 'show', '1:a.txt', '-o', 'old-a.txt', '--force').status, 0);
+        assert.equal(readFile(root, 'old-a.txt'), 'one\n');
+    });
+
+    test('keeps binary content byte for byte', () => {
+        const bytes = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff, 0x10]);
+        fs.writeFileSync(path.join(root, 'logo.png'), bytes);
+        svc(root, 'track');
+        svc(root, 'snapshot', '-m', 'logo');
+
+        svc(root, 'show', '3:logo.png', '-o', 'copy.png');
+        assert.deepEqual(fs.readFileSync(path.join(root, 'copy.png')), bytes);
+    });
+
+    test('fails on a path the snapshot does not contain', () => {
+        const { status, stderr } = svc(root, 'show', '1:missing.txt');
+
+        assert.equal(status, 1);
+        assert.match(stderr, /Path "missing\.txt" does not exist in snapshot 1\./);
+    });
+
+    test('is a usage error without a <snapshot>:<path> spec', () => {
+        assert.equal(svc(root, 'show', 'a.txt').status, 2);
+        assert.equal(svc(root, 'show').status, 2);
+    });
+});
@@ -0,0 +1,81 @@
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffRows, renderSideBySide } from '../utils/sidebyside.js';
+import { createProject, removeProject, snapshot, svc } from './helpers.js';
+
+// Text of the segments a row side marks as changed
+const changedText = (segments) =>
+    segments
+        .filter((segment) => segment.changed)
+        .map((segment) => segment.text)
+        .join('');
+
+describe('diffRows', () => {
+    test('pairs a changed line with its replacement and numbers both sides', () => {
+        const rows = diffRows('a\nfoo bar\nc\n', 'a\nfoo baz\nc\nd\n');
+
+        assert.deepEqual(
+            rows.map(({ type, oldNo, newNo }) => [type, oldNo, newNo]),
+            [
+                ['same', 1, 1],
+                ['change', 2, 2],
+                ['same', 3, 3],
+                ['added', undefined, 4],
+            ]
+        );
+        assert.equal(changedText(rows[1].left), 'r');
+        assert.equal(changedText(rows[1].right), 'z');
+    });
+
+    test('collapses unchanged runs beyond the context', () => {
+        const oldText = Array.from({ length: 12 }, (_, i) => `l${i + 1}\n`).join('');
+        const rows = diffRows(oldText, oldText.replace('l6', 'L6'), { context: 1 });
+
+        assert.deepEqual(
+            rows.map((row) => (row.type === 'skip' ? `skip ${row.rows.length}` : row.type)),
+            ['skip 4', 'same', 'change', 'same', 'skip 5']
+        );
+        assert.equal(diffRows(oldText, oldText.replace('l6', 'L6'), { context: Infinity }).length, 12);
+    });
+
+    test('returns no rows for matching texts, or texts differing in whitespace when it is ignored', () => {
+        assert.deepEqual(diffRows('x\n', 'x\n'), []);
+        assert.deepEqual(diffRows('a  b\n', 'a b\n', { ignoreWhitespace: true }), []);
+        assert.equal(diffRows('a  b\n', 'a b\n').length, 1);
+    });
+});
+
+describe('renderSideBySide', () => {
+    test('lays both versions out in columns of the given width', () => {
+        assert.deepEqual(renderSideBySide('one\ntwo\n', 'one\nTWO\n', { width: 40 }), [
+            '1   one                  │ 1   one',
+            '2 - two                  │ 2 + TWO',
+        ]);
+    });
+
+    test('wraps long lines instead of truncating them', () => {
+        assert.deepEqual(renderSideBySide(`${'x'.repeat(30)}\n`, `${'y'.repeat(30)}\n`, { width: 40 }), [
+            `1 - ${'x'.repeat(20)} │ 1 + ${'y'.repeat(20)}`,
+            `    ${'x'.repeat(10)}           │     ${'y'.repeat(10)}`,
+        ]);
+    });
+});
+
+describe('svc diff -w', () => {
+    let root;
+    beforeEach(() => {
+        root = createProject();
+        snapshot(root, 'first', { 'a.js': 'if (x) {\n  run();\n}\n' });
+        snapshot(root, 'second', { 'a.js': 'if (x) {\n    run();\n}\n' });
+    });
+    afterEach(() => removeProject(root));
+
+    test('hides whitespace-only changes', () => {
+        assert.match(svc(root, 'diff', '1', '2').stdout, /2 - {3}run\(\);/);
+
+        const { status, stdout } = svc(root, 'diff', '1', '2', '-w');
+        assert.equal(status, 0);
+        assert.match(stdout, /File: a\.js\n {2}Only whitespace changed/);
+        assert.doesNotMatch(stdout, /run\(\)/);
+    });
+});
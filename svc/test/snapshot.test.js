@@ -0,0 +1,52 @@
+import path from 'path';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import sqlite3 from 'sqlite3';
+import { close, run } from '../database/query.js';
+import { createProject, queryDatabase, removeProject, snapshot, svc, writeFiles } from './helpers.js';
+
+describe('svc snapshot', () => {
+    let root;
+    beforeEach(() => {
+        root = createProject();
+    });
+    afterEach(() => removeProject(root));
+
+    test('tracks new files before capturing them', async () => {
+        snapshot(root, 'first', { 'a.txt': 'a\n', 'dir/b.txt': 'b\n' });
+
+        const rows = await queryDatabase(
+            root,
+            `SELECT f.path FROM snapshot_files sf INNER JOIN files f ON sf.file_id = f.id WHERE sf.snapshot_id = 1 ORDER BY f.path`
+        );
+        assert.deepEqual(
+            rows.map((row) => row.path),
+            ['.svcignore', 'a.txt', 'dir/b.txt']
+        );
+    });
+
+    test('requires a message when run as a command', () => {
+        assert.equal(svc(root, 'snapshot').status, 2);
+    });
+
+    test('leaves no partial snapshot behind when writing a file fails', async () => {
+        snapshot(root, 'first', { 'a.txt': 'a\n' });
+        const db = new sqlite3.Database(path.join(root, '.svc', 'svc.db'));
+        await run(
+            db,
+            `CREATE TRIGGER fail_b AFTER INSERT ON snapshot_files
+             WHEN (SELECT path FROM files WHERE id = NEW.file_id) = 'b.txt'
+             BEGIN SELECT RAISE(ABORT, 'disk full'); END`
+        );
+        await close(db);
+
+        writeFiles(root, { 'b.txt': 'b\n' });
+        const { status, stderr } = svc(root, 'snapshot', '-m', 'second');
+
+        assert.equal(status, 1);
+        assert.match(stderr, /disk full/);
+        assert.deepEqual(await queryDatabase(root, `SELECT id FROM snapshots`), [{ id: 1 }]);
+        assert.deepEqual(await queryDatabase(root, `SELECT id FROM snapshot_files WHERE snapshot_id != 1`), []);
+        assert.match(svc(root, 'log').stdout, /\* 1 \(HEAD -> main\) first/);
+    });
+});
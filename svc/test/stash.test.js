@@ -0,0 +1,68 @@
+import fs from 'fs';
+import path from 'path';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createProject, exists, readFile, removeProject, snapshot, svc, writeFiles } from './helpers.js';
+
+describe('svc stash', () => {
+    let root;
+    beforeEach(() => {
+        root = createProject();
+        snapshot(root, 'base', { 'a.txt': 'one\ntwo\nthree\nfour\n', 'b.txt': 'b\n' });
+        writeFiles(root, { 'a.txt': 'ONE\ntwo\nthree\nfour\n', 'new.txt': 'new\n' });
+        fs.rmSync(path.join(root, 'b.txt'));
+    });
+    afterEach(() => removeProject(root));
+
+    test('parks changes and returns the tree to the head snapshot', () => {
+        const { status, stdout } = svc(root, 'stash', '-m', 'wip');
+
+        assert.equal(status, 0);
+        assert.match(stdout, /Saved 3 changed file\(s\) as stash 1: wip/);
+        assert.equal(readFile(root, 'a.txt'), 'one\ntwo\nthree\nfour\n');
+        assert.equal(readFile(root, 'b.txt'), 'b\n');
+        assert.equal(exists(root, 'new.txt'), false);
+        assert.equal(svc(root, 'status', '--porcelain').stdout, '');
+        assert.match(svc(root, 'stash', 'list').stdout, /stash 1: wip \(on main, 3 file\(s\)/);
+        assert.doesNotMatch(svc(root, 'log').stdout, /wip/);
+    });
+
+    test('pop brings the changes back and drops the stash', () => {
+        svc(root, 'stash', '-m', 'wip');
+
+        assert.equal(svc(root, 'stash', 'pop').status, 0);
+        assert.equal(readFile(root, 'a.txt'), 'ONE\ntwo\nthree\nfour\n');
+        assert.equal(readFile(root, 'new.txt'), 'new\n');
+        assert.equal(exists(root, 'b.txt'), false);
+        assert.match(svc(root, 'stash', 'list').stdout, /No stashes found\./);
+    });
+
+    test('apply keeps the stash and merges with snapshots taken since', () => {
+        svc(root, 'stash', '-m', 'wip');
+        snapshot(root, 'later', { 'a.txt': 'one\ntwo\nthree\nFOUR\n' });
+
+        assert.equal(svc(root, 'stash', 'apply', '1').status, 0);
+        assert.equal(readFile(root, 'a.txt'), 'ONE\ntwo\nthree\nFOUR\n');
+        assert.match(svc(root, 'stash', 'list').stdout, /stash 1: wip/);
+    });
+
+    test('--no-untracked leaves untracked files in place', () => {
+        svc(root, 'stash', '--no-untracked');
+
+        assert.equal(readFile(root, 'new.txt'), 'new\n');
+        assert.match(svc(root, 'stash', 'list').stdout, /stash 1: WIP on main \(on main, 2 file\(s\)/);
+    });
+
+    test('drop deletes a stash without applying it', () => {
+        svc(root, 'stash');
+
+        assert.equal(svc(root, 'stash', 'drop').status, 0);
+        assert.equal(readFile(root, 'a.txt'), 'one\ntwo\nthree\nfour\n');
+        assert.equal(svc(root, 'stash', 'apply').status, 1);
+    });
+
+    test('rejects unknown actions and malformed ids', () => {
+        assert.equal(svc(root, 'stash', 'bogus').status, 2);
+        assert.equal(svc(root, 'stash', 'pop', 'x').status, 2);
+    });
+});
@@ -0,0 +1,45 @@
+import fs from 'fs';
+import path from 'path';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createProject, removeProject, snapshot, svc, writeFiles } from './helpers.js';
+
+// Porcelain status lines, in the order they are printed
+const porcelain = (root) => svc(root, 'status', '--porcelain').stdout.trim().split('\n').filter(Boolean);
+
+describe('svc status', () => {
+    let root;
+    beforeEach(() => {
+        root = createProject();
+    });
+    afterEach(() => removeProject(root));
+
+    test('reports a clean tree right after a snapshot', () => {
+        snapshot(root, 'first', { 'a.txt': 'a\n' });
+
+        const { status, stdout } = svc(root, 'status');
+        assert.equal(status, 0);
+        assert.match(stdout, /On branch main/);
+        assert.match(stdout, /Changes since snapshot 1:/);
+        assert.match(stdout, /Working tree clean\./);
+        assert.deepEqual(porcelain(root), []);
+    });
+
+    test('lists added, modified, deleted and ignored paths', () => {
+        snapshot(root, 'first', { 'a.txt': 'a\n', 'b.txt': 'b\n' });
+        writeFiles(root, { 'a.txt': 'changed\n', 'c.txt': 'c\n', 'debug.log': 'ignored\n' });
+        fs.rmSync(path.join(root, 'b.txt'));
+
+        assert.deepEqual(porcelain(root), ['A c.txt', 'M a.txt', 'D b.txt', '! debug.log']);
+        assert.match(svc(root, 'status').stdout, /Added \(1\):\n {2}c\.txt \(untracked\)/);
+    });
+
+    test('compares with the tracked files before the first snapshot', () => {
+        writeFiles(root, { 'a.txt': 'a\n' });
+        svc(root, 'track');
+        writeFiles(root, { 'a.txt': 'changed\n', 'b.txt': 'b\n' });
+
+        assert.deepEqual(porcelain(root), ['A b.txt', 'M a.txt']);
+        assert.match(svc(root, 'status').stdout, /Changes since tracked files \(no snapshots yet\)/);
+    });
+});
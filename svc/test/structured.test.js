@@ -0,0 +1,68 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffStructured, diffValues, formatKeyPath, isStructuredPath } from '../utils/structured.js';
+import { createProject, removeProject, snapshot, svc } from './helpers.js';
+
+describe('diffStructured', () => {
+    test('ignores formatting and key order', () => {
+        assert.deepEqual(diffStructured('a.json', '{"a":1,"b":[1,2]}', '{\n  "b": [1, 2],\n  "a": 1\n}\n'), []);
+    });
+
+    test('reports changes by key path', () => {
+        const changes = diffStructured('a.yaml', 'api:\n  port: 8080\n', 'api:\n  port: 9090\n  host: x\n');
+
+        assert.deepEqual(
+            changes.map((change) => [change.type, formatKeyPath(change.path)]),
+            [
+                ['changed', '$.api.port'],
+                ['added', '$.api.host'],
+            ]
+        );
+    });
+
+    test('gives up on files that do not parse', () => {
+        assert.equal(diffStructured('a.json', '{', '{}'), null);
+    });
+});
+
+describe('diffValues', () => {
+    test('aligns array items like lines', () => {
+        assert.deepEqual(diffValues([1, 2, 3], [1, 3, 4]), [
+            { path: [1], type: 'removed', before: 2 },
+            { path: [2], type: 'added', after: 4 },
+        ]);
+    });
+});
+
+describe('key paths and file types', () => {
+    test('quotes keys that are not identifiers', () => {
+        assert.equal(formatKeyPath(['a', 2, 'odd key']), '$.a[2]["odd key"]');
+    });
+
+    test('recognizes JSON and YAML files by extension', () => {
+        assert.deepEqual(['a.json', 'b.YML', 'c.yaml', 'd.txt'].map(isStructuredPath), [true, true, true, false]);
+    });
+});
+
+describe('svc diff --semantic', () => {
+    let root;
+    before(() => {
+        root = createProject();
+        snapshot(root, 'first', { 'c.yaml': 'api:\n  port: 8080\n', 'p.json': '{"a":1}\n', 'n.txt': 'one\n' });
+        snapshot(root, 'second', { 'c.yaml': 'api:\n  port: 9090\n  host: x\n', 'p.json': '{\n  "a": 1\n}\n', 'n.txt': 'two\n' });
+    });
+    after(() => removeProject(root));
+
+    test('compares JSON and YAML by key path and other files by line', () => {
+        const { status, stdout } = svc(root, 'diff', '1', '2', '--semantic');
+
+        assert.equal(status, 0);
+        assert.match(stdout, /File: c\.yaml\n~ \$\.api\.port: 8080 → 9090\n\+ \$\.api\.host: "x"/);
+        assert.match(stdout, /File: p\.json\n {2}Only formatting or key order changed/);
+        assert.match(stdout, /File: n\.txt\n1 - one +│ 1 \+ two/);
+    });
+
+    test('only applies to the side-by-side view', () => {
+        assert.equal(svc(root, 'diff', '1', '2', '--semantic', '--stat').status, 2);
+    });
+});
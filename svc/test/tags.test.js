@@ -0,0 +1,59 @@
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createProject, readFile, removeProject, snapshot, svc } from './helpers.js';
+
+describe('svc tag', () => {
+    let root;
+    beforeEach(() => {
+        root = createProject();
+        snapshot(root, 'one', { 'a.txt': 'one\n' });
+        snapshot(root, 'two', { 'a.txt': 'two\n' });
+    });
+    afterEach(() => removeProject(root));
+
+    test('tags the latest snapshot by default and lists tags by name', () => {
+        assert.equal(svc(root, 'tag', 'v1', '1').status, 0);
+        assert.equal(svc(root, 'tag', 'before-refactor').status, 0);
+
+        assert.equal(svc(root, 'tag').stdout, 'before-refactor  2: two\nv1               1: one\n');
+        assert.match(svc(root, 'log').stdout, /\* 1 \(tag: v1\) one/);
+    });
+
+    test('refuses to retag without -f and moves with it', () => {
+        svc(root, 'tag', 'v1', '1');
+
+        const taken = svc(root, 'tag', 'v1', '2');
+        assert.equal(taken.status, 1);
+        assert.match(taken.stderr, /Tag "v1" already exists on snapshot 1\./);
+
+        assert.match(svc(root, 'tag', '-f', 'v1', '2').stdout, /Moved tag "v1" from snapshot 1 to snapshot 2\./);
+        assert.match(svc(root, 'tag').stdout, /^v1 {2}2: two$/m);
+    });
+
+    test('deletes tags and reports unknown ones', () => {
+        svc(root, 'tag', 'v1', '1');
+
+        assert.equal(svc(root, 'tag', '-d', 'v1').status, 0);
+        assert.equal(svc(root, 'tag', '-d', 'v1').status, 1);
+        assert.doesNotMatch(svc(root, 'tag').stdout, /v1/);
+    });
+
+    test('rejects names that would read as snapshot ids', () => {
+        const { status, stderr } = svc(root, 'tag', '123');
+
+        assert.equal(status, 1);
+        assert.match(stderr, /it would be mistaken for a snapshot id/);
+    });
+
+    test('is accepted wherever a snapshot id is', () => {
+        svc(root, 'tag', 'v1', '1');
+
+        assert.match(svc(root, 'diff', 'v1', '2', '--stat').stdout, /a\.txt \| 2 \+-/);
+        assert.equal(svc(root, 'revert', 'v1', '--no-backup').status, 0);
+        assert.equal(readFile(root, 'a.txt'), 'one\n');
+
+        const unknown = svc(root, 'revert', 'v9');
+        assert.equal(unknown.status, 1);
+        assert.match(unknown.stderr, /No snapshot, tag or branch named "v9"\./);
+    });
+});
@@ -0,0 +1,62 @@
+import fs from 'fs';
+import path from 'path';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createProject, exists, queryDatabase, readFile, removeProject, snapshot, svc, writeFiles } from './helpers.js';
+
+describe('deleted files', () => {
+    let root;
+    beforeEach(() => {
+        root = createProject();
+        snapshot(root, 'first', { 'a.txt': 'a\n', 'b.txt': 'b\n' });
+        fs.rmSync(path.join(root, 'b.txt'));
+    });
+    afterEach(() => removeProject(root));
+
+    test('tracking keeps a tombstone for a deleted file', async () => {
+        const { stdout } = svc(root, 'track');
+
+        assert.match(stdout, /Deleted: b\.txt/);
+        const [row] = await queryDatabase(root, `SELECT hash, deleted_at FROM files WHERE path = 'b.txt'`);
+        assert.equal(row.hash, null);
+        assert.notEqual(row.deleted_at, null);
+    });
+
+    test('a snapshot records the path as absent rather than empty', async () => {
+        snapshot(root, 'second');
+
+        const [row] = await queryDatabase(
+            root,
+            `SELECT sf.deleted, sf.blob_hash, sf.content FROM snapshot_files sf INNER JOIN files f ON sf.file_id = f.id
+             WHERE sf.snapshot_id = 2 AND f.path = 'b.txt'`
+        );
+        assert.deepEqual(row, { deleted: 1, blob_hash: null, content: null });
+    });
+
+    test('revert removes a path its snapshot recorded as absent and restores it from older ones', () => {
+        snapshot(root, 'second');
+        writeFiles(root, { 'b.txt': 'back\n' });
+
+        assert.equal(svc(root, 'revert', '2', '--no-backup').status, 0);
+        assert.equal(exists(root, 'b.txt'), false);
+
+        assert.equal(svc(root, 'revert', '1', '--no-backup').status, 0);
+        assert.equal(readFile(root, 'b.txt'), 'b\n');
+    });
+
+    test('a path that comes back is tracked again', async () => {
+        svc(root, 'track');
+        writeFiles(root, { 'b.txt': 'again\n' });
+        svc(root, 'track');
+
+        const [row] = await queryDatabase(root, `SELECT deleted_at FROM files WHERE path = 'b.txt'`);
+        assert.equal(row.deleted_at, null);
+    });
+
+    test('diff shows the path as removed', () => {
+        snapshot(root, 'second');
+
+        assert.match(svc(root, 'diff', '1', '2').stdout, /File: b\.txt \(removed\)/);
+        assert.match(svc(root, 'diff', '1', '2', '--patch').stdout, /--- a\/b\.txt\n\+\+\+ \/dev\/null/);
+    });
+});
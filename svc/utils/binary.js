@@ -0,0 +1,14 @@
+import { isUtf8 } from 'buffer';
+
+// Number of leading bytes inspected for NUL characters, as git does
+const SNIFF_LENGTH = 8000;
+
+// Detect content that cannot be stored as UTF-8 text without corrupting it
+export const isBinaryBuffer = (buffer) => buffer.subarray(0, SNIFF_LENGTH).includes(0) || !isUtf8(buffer);
+
+// Format a byte count for display
+export const formatSize = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
@@ -0,0 +1,110 @@
+import path from 'path';
+import chalk from 'chalk';
+import { diffArrays } from 'diff';
+import { formatSize } from './binary.js';
+import { splitLines } from './merge.js';
+import { sameContent } from './renames.js';
+import { terminalWidth } from './sidebyside.js';
+
+// Longest file name column before names are shortened from the left
+const MAX_NAME_WIDTH = 50;
+
+// Count the lines a change ({ before, after }) inserts and deletes. Binary files report their sizes instead.
+export const countChanges = ({ before, after }) => {
+    if (before?.is_binary || after?.is_binary) {
+        const [oldSize, newSize] = [before, after].map((file) => file?.content.length || 0);
+        return { binary: true, oldSize, newSize, insertions: 0, deletions: 0 };
+    }
+
+    let insertions = 0;
+    let deletions = 0;
+    diffArrays(splitLines(before?.content || ''), splitLines(after?.content || '')).forEach((part) => {
+        if (part.added) insertions += part.count;
+        else if (part.removed) deletions += part.count;
+    });
+    return { binary: false, insertions, deletions };
+};
+
+// Summarize compared paths ({ path, before, after, oldPath }) like `git diff --stat`: per-file
+// insertions and deletions, totals, added/removed/renamed counts and a per-directory rollup.
+// Paths with identical content on both sides are left out.
+export const summarizeDiff = (fileDiffs) => {
+    const files = fileDiffs
+        .filter(({ before, after, oldPath }) => oldPath || !before || !after || !sameContent(before, after))
+        .map((fileDiff) => ({ ...fileDiff, ...countChanges(fileDiff) }))
+        .sort((a, b) => a.path.localeCompare(b.path));
+
+    const totals = { files: files.length, insertions: 0, deletions: 0, added: 0, removed: 0, renamed: 0 };
+    const directories = new Map();
+    files.forEach((file) => {
+        totals.insertions += file.insertions;
+        totals.deletions += file.deletions;
+        if (file.oldPath) totals.renamed += 1;
+        else if (!file.before) totals.added += 1;
+        else if (!file.after) totals.removed += 1;
+
+        const dir = path.dirname(file.path);
+        const entry = directories.get(dir) || { dir, files: 0, insertions: 0, deletions: 0 };
+        entry.files += 1;
+        entry.insertions += file.insertions;
+        entry.deletions += file.deletions;
+        directories.set(dir, entry);
+    });
+
+    return { files, totals, directories: [...directories.values()].sort((a, b) => a.dir.localeCompare(b.dir)) };
+};
+
+// Shorten a name from the left so the end of the path stays visible
+const fitName = (name, width) => (name.length <= width ? name : `...${name.slice(name.length - width + 3)}`);
+
+// Pluralize a count, e.g. "1 file" / "3 files"
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// Render a summary as lines: one `name | count +++--` row per file, the totals, then the directories
+export const renderDiffStat = ({ files, totals, directories }, width = terminalWidth()) => {
+    if (files.length === 0) return [];
+
+    const names = files.map((file) => (file.oldPath ? `${file.oldPath} → ${file.path}` : file.path));
+    const nameWidth = Math.min(MAX_NAME_WIDTH, Math.max(...names.map((name) => name.length)));
+    const largest = Math.max(...files.map((file) => file.insertions + file.deletions));
+    const countWidth = String(largest).length;
+
+    // Scale the bars down when the largest change would not fit on the line
+    const barSpace = Math.max(10, width - nameWidth - countWidth - 5);
+    const scale = largest > barSpace ? barSpace / largest : 1;
+    const barLength = (count) => (count === 0 ? 0 : Math.max(1, Math.round(count * scale)));
+
+    const lines = files.map((file, index) => {
+        const name = fitName(names[index], nameWidth).padEnd(nameWidth);
+        if (file.binary) return ` ${name} | ${chalk.magenta(`Bin ${formatSize(file.oldSize)} → ${formatSize(file.newSize)}`)}`;
+
+        const count = String(file.insertions + file.deletions).padStart(countWidth);
+        const bar = chalk.green('+'.repeat(barLength(file.insertions))) + chalk.red('-'.repeat(barLength(file.deletions)));
+        return ` ${name} | ${count} ${bar}`.trimEnd();
+    });
+
+    const kinds = [
+        [totals.added, 'added'],
+        [totals.removed, 'removed'],
+        [totals.renamed, 'renamed'],
+    ].filter(([count]) => count > 0);
+    lines.push(
+        ` ${plural(totals.files, 'file')} changed, ${plural(totals.insertions, 'insertion')}(+), ` +
+            `${plural(totals.deletions, 'deletion')}(-)` +
+            (kinds.length > 0 ? `; ${kinds.map(([count, kind]) => `${count} ${kind}`).join(', ')}` : '')
+    );
+
+    if (directories.length > 1) {
+        const changed = totals.insertions + totals.deletions;
+        lines.push('', chalk.bold(' By directory:'));
+        directories.forEach((entry) => {
+            const share = changed > 0 ? `${(((entry.insertions + entry.deletions) / changed) * 100).toFixed(1)}%` : '-';
+            const dir = entry.dir === '.' ? './' : `${entry.dir}/`;
+            lines.push(
+                `  ${share.padStart(6)} ${dir} ${chalk.dim(`(${plural(entry.files, 'file')}, +${entry.insertions} -${entry.deletions})`)}`
+            );
+        });
+    }
+
+    return lines;
+};
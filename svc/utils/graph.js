@@ -0,0 +1,77 @@
+// Draw one row of the graph from [position, character] cells. Lane `i` sits at position 2i.
+const drawRow = (cells) => {
+    const width = cells.reduce((max, [position]) => Math.max(max, position + 1), 0);
+    const chars = Array(width).fill(' ');
+    cells.forEach(([position, char]) => {
+        chars[position] = char;
+    });
+    return chars.join('');
+};
+
+// Connector for lanes closing up: lanes listed in `removed` end here and every lane to
+// their right shifts one column left
+const drawShift = (lanes, removed) => {
+    let shift = 0;
+    return drawRow(
+        lanes.map((id, index) => {
+            if (removed.includes(index)) {
+                shift++;
+                return [index * 2 - 1, '/'];
+            }
+            return shift > 0 ? [index * 2 - 1, '/'] : [index * 2, '|'];
+        }).filter(([position]) => position >= 0)
+    );
+};
+
+// Lay out snapshots as a lineage graph in the style of `git log --graph`, newest first.
+// Each snapshot needs `id` and `parents` (first parent first); parents always have lower ids.
+// Returns rows of `{ graph, snapshot }`; connector rows between snapshots have no `snapshot`.
+export const layoutGraph = (snapshots) => {
+    const rows = [];
+    let lanes = []; // The snapshot id each column is waiting for
+
+    [...snapshots]
+        .sort((a, b) => b.id - a.id)
+        .forEach((snapshot) => {
+            let column = lanes.indexOf(snapshot.id);
+            if (column === -1) {
+                lanes.push(snapshot.id); // A tip: nothing newer descends from it
+                column = lanes.length - 1;
+            }
+
+            // Several children share this snapshot as a parent: their lanes join here
+            const joining = lanes.map((id, index) => index).filter((index) => index > column && lanes[index] === snapshot.id);
+            if (joining.length > 0) {
+                rows.push({ graph: drawShift(lanes, joining) });
+                lanes = lanes.filter((id, index) => !joining.includes(index));
+            }
+
+            rows.push({ graph: drawRow(lanes.map((id, index) => [index * 2, index === column ? '*' : '|'])), snapshot });
+
+            const [firstParent, ...mergedParents] = snapshot.parents;
+            if (firstParent === undefined) {
+                // A root: the lane ends
+                if (column < lanes.length - 1) rows.push({ graph: drawShift(lanes, [column]) });
+                lanes = lanes.filter((id, index) => index !== column);
+                return;
+            }
+            lanes[column] = firstParent;
+
+            // Merges open one lane per additional parent that is not already being followed
+            const opened = [];
+            mergedParents.forEach((parentId) => {
+                if (lanes.includes(parentId)) return;
+                lanes.push(parentId);
+                opened.push(lanes.length - 1);
+            });
+            if (opened.length > 0) {
+                rows.push({
+                    graph: drawRow(
+                        lanes.map((id, index) => (opened.includes(index) ? [index * 2 - 1, '\\'] : [index * 2, '|']))
+                    ),
+                });
+            }
+        });
+
+    return rows;
+};
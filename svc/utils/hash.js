@@ -1,10 +1,15 @@
 import fs from 'fs';
 import crypto from 'crypto';
 
-// Function to calculate the hash of a file
-export const calculateFileHash = (filePath) => {
-    const fileBuffer = fs.readFileSync(filePath);
+// Function to calculate the hash of a buffer or string
+export const calculateContentHash = (content) => {
     const hashSum = crypto.createHash('sha256');
-    hashSum.update(fileBuffer);
+    hashSum.update(content);
     return hashSum.digest('hex');
 };
+
+// Function to calculate the hash of a file. A symlink is hashed by its target path, not followed.
+export const calculateFileHash = (filePath) => {
+    const content = fs.lstatSync(filePath).isSymbolicLink() ? fs.readlinkSync(filePath) : fs.readFileSync(filePath);
+    return calculateContentHash(content);
+};
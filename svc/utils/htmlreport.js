@@ -0,0 +1,161 @@
+import { formatSize } from './binary.js';
+import { summarizeDiff } from './diffstat.js';
+import { DEFAULT_CONTEXT, computeHunks, formatHunkHeader } from './patch.js';
+import { sameContent } from './renames.js';
+import { diffRows } from './sidebyside.js';
+
+// Self-contained styles. Added and removed lines are tinted by change, not by language, and the
+// view toggle is a pair of radio buttons so the report works without scripts.
+const STYLESHEET = `
+body { font-family: system-ui, sans-serif; margin: 0; color: #1f2328; background: #fff; }
+header, nav, main { padding: 0 24px; }
+header { border-bottom: 1px solid #d0d7de; padding-bottom: 12px; }
+h1 { font-size: 20px; margin: 16px 0 8px; }
+dl.snapshots { display: grid; grid-template-columns: max-content 1fr; gap: 4px 12px; margin: 0; }
+dl.snapshots dt { font-weight: 600; }
+.meta { color: #656d76; font-size: 13px; }
+nav ul { list-style: none; padding: 0; font-family: ui-monospace, monospace; font-size: 13px; }
+nav li { padding: 2px 0; }
+body > label { display: inline-block; margin: 12px 16px 0 0; font-size: 14px; }
+body > input { margin-left: 24px; }
+body > input + label + input { margin-left: 0; }
+.status { font-size: 12px; padding: 0 6px; border-radius: 8px; background: #eaeef2; color: #424a53; }
+.ins { color: #1a7f37; }
+.del { color: #cf222e; }
+details { border: 1px solid #d0d7de; border-radius: 6px; margin: 12px 0; }
+summary { padding: 8px 12px; background: #f6f8fa; cursor: pointer; font-family: ui-monospace, monospace; font-size: 13px; }
+.notice { padding: 8px 12px; color: #656d76; font-size: 13px; }
+table { border-collapse: collapse; width: 100%; table-layout: fixed; font-family: ui-monospace, monospace; font-size: 12px; }
+td { padding: 0 8px; vertical-align: top; white-space: pre-wrap; word-break: break-all; tab-size: 4; }
+td.num { width: 4em; text-align: right; color: #8c959f; user-select: none; }
+td.removed { background: #ffebe9; }
+td.added { background: #e6ffec; }
+td.removed .hl { background: #ff8182; }
+td.added .hl { background: #abf2bc; }
+td.empty { background: #f6f8fa; }
+tr.skip td, tr.hunk td { background: #ddf4ff; color: #57606a; }
+#view-unified:checked ~ main .side, #view-side:checked ~ main .unified { display: none; }
+`;
+
+// Escape text for use in HTML content and attribute values
+const escapeHtml = (text) =>
+    String(text).replace(/[&<>"']/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+
+// Text segments with their intra-line changes wrapped for highlighting
+const renderSegments = (segments) =>
+    segments.map(({ text, changed }) => (changed ? `<span class="hl">${escapeHtml(text)}</span>` : escapeHtml(text))).join('');
+
+// Line number and text cells of one side of a row, or empty cells when the line is absent
+const renderCells = (lineNo, segments, className) =>
+    segments
+        ? `<td class="num">${lineNo}</td><td class="${className}">${renderSegments(segments)}</td>`
+        : '<td class="num"></td><td class="empty"></td>';
+
+// Side-by-side table of two texts, with `context` unchanged lines around each change
+const renderSideTable = (oldText, newText, context) => {
+    const rows = diffRows(oldText, newText, { context }).map((row) => {
+        if (row.type === 'skip') return `<tr class="skip"><td colspan="4">⋯ ${row.rows.length} unchanged lines</td></tr>`;
+        const same = row.type === 'same';
+        const left = renderCells(row.oldNo, row.left, same ? 'same' : 'removed');
+        return `<tr>${left}${renderCells(row.newNo, row.right, same ? 'same' : 'added')}</tr>`;
+    });
+    return `<table class="side">\n${rows.join('\n')}\n</table>`;
+};
+
+// Unified table of two texts: hunk headers followed by their context, removed and added lines
+const renderUnifiedTable = (oldText, newText, context) => {
+    const classes = { '-': 'removed', '+': 'added', ' ': 'same' };
+    const rows = computeHunks(oldText, newText, context).flatMap((hunk) => {
+        let oldNo = hunk.oldStart;
+        let newNo = hunk.newStart;
+        const lines = hunk.lines
+            .filter((line) => !line.startsWith('\\'))
+            .map((line) => {
+                const marker = line[0];
+                const numbers = [marker === '+' ? '' : oldNo, marker === '-' ? '' : newNo];
+                if (marker !== '+') oldNo += 1;
+                if (marker !== '-') newNo += 1;
+                const cells = numbers.map((number) => `<td class="num">${number}</td>`).join('');
+                return `<tr>${cells}<td class="${classes[marker]}">${escapeHtml(line)}</td></tr>`;
+            });
+        return [`<tr class="hunk"><td colspan="3">${escapeHtml(formatHunkHeader(hunk))}</td></tr>`, ...lines];
+    });
+    return `<table class="unified">\n${rows.join('\n')}\n</table>`;
+};
+
+// Label of a file in the report: its status and its line counts or sizes
+const describeFile = (file) => {
+    const status = file.oldPath
+        ? `renamed from ${file.oldPath}, ${Math.round(file.similarity * 100)}% similar`
+        : !file.before
+          ? 'added'
+          : !file.after
+            ? 'removed'
+            : 'modified';
+    const counts = file.binary
+        ? `binary, ${formatSize(file.oldSize)} → ${formatSize(file.newSize)}`
+        : `<span class="ins">+${file.insertions}</span> <span class="del">-${file.deletions}</span>`;
+    return `<span class="status">${escapeHtml(status)}</span> ${counts}`;
+};
+
+// Collapsible section of one file holding both views of its changes
+const renderFileSection = (file, index, context) => {
+    const { before, after } = file;
+    let body;
+    if (before && after && sameContent(before, after)) {
+        body = '<p class="notice">Content identical.</p>';
+    } else if (file.binary) {
+        body = '<p class="notice">Binary file changed; no line diff available.</p>';
+    } else {
+        const [oldText, newText] = [before?.content || '', after?.content || ''];
+        body = `${renderSideTable(oldText, newText, context)}\n${renderUnifiedTable(oldText, newText, context)}`;
+    }
+    return `<details id="file-${index}" open>\n<summary>${escapeHtml(file.path)} ${describeFile(file)}</summary>\n${body}\n</details>`;
+};
+
+// Header entry of one compared snapshot: id, description and timestamp
+const renderSnapshot = (label, snapshot) =>
+    `<dt>${label}</dt><dd>Snapshot ${escapeHtml(snapshot.id)}: ${escapeHtml(snapshot.description || '')} ` +
+    `<span class="meta">(${escapeHtml(snapshot.created_at)})</span></dd>`;
+
+// Render the changed paths ({ path, before, after, oldPath, similarity }) between two snapshots as a
+// single offline HTML page: a header describing both snapshots, a file list linking to each file,
+// and collapsible per-file sections switchable between side-by-side and unified views.
+export const renderHtmlReport = ({ title, projectName, from, to, fileDiffs, context = DEFAULT_CONTEXT }) => {
+    const { files, totals } = summarizeDiff(fileDiffs);
+    const fileList = files
+        .map((file, index) => `<li><a href="#file-${index}">${escapeHtml(file.path)}</a> ${describeFile(file)}</li>`)
+        .join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${STYLESHEET}</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(title)}</h1>
+${projectName ? `<p class="meta">Project ${escapeHtml(projectName)}</p>` : ''}
+<dl class="snapshots">
+${renderSnapshot('From', from)}
+${renderSnapshot('To', to)}
+</dl>
+<p class="meta">Generated ${escapeHtml(new Date().toISOString())}</p>
+</header>
+<input type="radio" name="view" id="view-side" checked><label for="view-side">Side by side</label>
+<input type="radio" name="view" id="view-unified"><label for="view-unified">Unified</label>
+<nav>
+<p>${totals.files} file(s) changed, <span class="ins">+${totals.insertions}</span> <span class="del">-${totals.deletions}</span></p>
+<ul>
+${fileList}
+</ul>
+</nav>
+<main>
+${files.map((file, index) => renderFileSection(file, index, context)).join('\n')}
+</main>
+</body>
+</html>
+`;
+};
@@ -3,9 +3,10 @@ import path from 'path';
 import chalk from 'chalk';
 import inquirer from 'inquirer';
 import glob from 'glob';
+import { getRepositoryRoot } from './repository.js';
 
 // Get the `.svcignore` file path
-const getIgnoreFilePath = () => path.join(process.cwd(), '.svcignore');
+const getIgnoreFilePath = () => path.join(getRepositoryRoot(), '.svcignore');
 
 // Load existing rules from `.svcignore`
 const loadIgnoreRules = () => {
@@ -18,6 +19,10 @@ const loadIgnoreRules = () => {
         .filter((line) => line && !line.startsWith('#') && !line.startsWith('//')); // Skip comments
 };
 
+// Check whether a project-relative path matches any ignore rule
+const isIgnored = (entryPath, rules) =>
+    rules.some((pattern) => new RegExp(`^${pattern.replace(/\*/g, '.*')}$`).test(entryPath));
+
 // Save updated rules back to `.svcignore`
 const saveIgnoreRules = (rules) => {
     const ignoreFilePath = getIgnoreFilePath();
@@ -45,7 +50,7 @@ const validatePattern = (pattern) => {
 const previewIgnoredFiles = () => {
     console.clear();
     const ignoreRules = loadIgnoreRules();
-    const projectDir = process.cwd();
+    const projectDir = getRepositoryRoot();
 
     if (ignoreRules.length === 0) {
         console.log(chalk.yellow('No ignore rules found in `.svcignore`.'));
@@ -164,4 +169,4 @@ const editIgnoreRules = async () => {
 };
 
 // Export functions
-export { editIgnoreRules, loadIgnoreRules, saveIgnoreRules, previewIgnoredFiles };
+export { editIgnoreRules, loadIgnoreRules, saveIgnoreRules, previewIgnoredFiles, isIgnored };
@@ -0,0 +1,118 @@
+import { diffArrays } from 'diff';
+
+// Split text into lines, keeping each line's terminator so the text can be rebuilt exactly
+export const splitLines = (text) => (text ? text.match(/[^\n]*\n|[^\n]+$/g) : []);
+
+// Regions of `base` that `other` replaced, in base line coordinates: [start, end) plus the replacement lines
+const changedRegions = (base, other) => {
+    const regions = [];
+    let index = 0;
+    let current = null;
+
+    diffArrays(base, other).forEach((part) => {
+        if (!part.added && !part.removed) {
+            current = null;
+            index += part.count;
+            return;
+        }
+        if (!current) {
+            current = { start: index, end: index, lines: [] };
+            regions.push(current);
+        }
+        if (part.removed) {
+            index += part.count;
+            current.end = index;
+        } else {
+            current.lines.push(...part.value);
+        }
+    });
+
+    return regions;
+};
+
+// Rebuild base[start, end) with one side's regions applied
+const applyRegions = (base, start, end, regions) => {
+    const lines = [];
+    let index = start;
+    regions.forEach((region) => {
+        lines.push(...base.slice(index, region.start), ...region.lines);
+        index = region.end;
+    });
+    lines.push(...base.slice(index, end));
+    return lines;
+};
+
+// Three-way merge of text, line by line. Changes each side made to `base` are combined;
+// where both sides changed the same (or adjacent) lines differently the result holds a conflict.
+// Returns `chunks`: `{ lines }` for merged text and `{ conflict: { base, ours, theirs } }` for conflicts.
+export const mergeText = (baseText, oursText, theirsText) => {
+    const base = splitLines(baseText);
+    const regions = [
+        ...changedRegions(base, splitLines(oursText)).map((region) => ({ ...region, side: 'ours' })),
+        ...changedRegions(base, splitLines(theirsText)).map((region) => ({ ...region, side: 'theirs' })),
+    ].sort((a, b) => a.start - b.start || a.end - b.end);
+
+    // Group regions that overlap or touch; each group is merged as a unit
+    const groups = [];
+    regions.forEach((region) => {
+        const last = groups[groups.length - 1];
+        if (last && region.start <= last.end) {
+            last.regions.push(region);
+            last.end = Math.max(last.end, region.end);
+        } else {
+            groups.push({ start: region.start, end: region.end, regions: [region] });
+        }
+    });
+
+    const chunks = [];
+    let index = 0;
+    groups.forEach((group) => {
+        if (group.start > index) chunks.push({ lines: base.slice(index, group.start) });
+
+        const side = (name) => group.regions.filter((region) => region.side === name);
+        const ours = applyRegions(base, group.start, group.end, side('ours'));
+        const theirs = applyRegions(base, group.start, group.end, side('theirs'));
+
+        if (side('theirs').length === 0) chunks.push({ lines: ours });
+        else if (side('ours').length === 0) chunks.push({ lines: theirs });
+        else if (ours.join('') === theirs.join('')) chunks.push({ lines: ours }); // Both made the same change
+        else chunks.push({ conflict: { base: base.slice(group.start, group.end), ours, theirs } });
+
+        index = group.end;
+    });
+    if (index < base.length) chunks.push({ lines: base.slice(index) });
+
+    return chunks;
+};
+
+// Terminate the last line so a marker that follows starts on a line of its own
+const closeLines = (lines) => {
+    const text = lines.join('');
+    return text === '' || text.endsWith('\n') ? text : `${text}\n`;
+};
+
+// Render merged chunks to text. `resolutions[i]` decides the i-th conflict: 'ours', 'theirs',
+// 'both' or 'markers' (the default), which writes `<<<<<<<`/`=======`/`>>>>>>>` conflict markers.
+export const renderMerge = (chunks, { resolutions = [], oursLabel = 'ours', theirsLabel = 'theirs' } = {}) => {
+    let conflictIndex = 0;
+    return chunks
+        .map((chunk) => {
+            if (!chunk.conflict) return chunk.lines.join('');
+
+            const { ours, theirs } = chunk.conflict;
+            switch (resolutions[conflictIndex++]) {
+                case 'ours':
+                    return ours.join('');
+                case 'theirs':
+                    return theirs.join('');
+                case 'both':
+                    return closeLines(ours) + theirs.join('');
+                default:
+                    return `<<<<<<< ${oursLabel}\n${closeLines(ours)}=======\n${closeLines(theirs)}>>>>>>> ${theirsLabel}\n`;
+            }
+        })
+        .join('');
+};
+
+// Count the conflicts left in merged chunks
+export const countConflicts = (chunks) => chunks.filter((chunk) => chunk.conflict).length;
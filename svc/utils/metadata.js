@@ -0,0 +1,48 @@
+import fs from 'fs';
+import path from 'path';
+
+// Stat a path without following symlinks; undefined when nothing exists there
+export const lstatEntry = (filePath) => fs.lstatSync(filePath, { throwIfNoEntry: false });
+
+// Whether anything exists at a path, counting dangling symlinks
+export const pathExists = (filePath) => Boolean(lstatEntry(filePath));
+
+// Read a working file for storage: its bytes (the target path for a symlink), permission bits and mtime
+export const readFileEntry = (filePath) => {
+    const stats = fs.lstatSync(filePath);
+    if (stats.isSymbolicLink()) {
+        const target = fs.readlinkSync(filePath);
+        return { buffer: Buffer.from(target, 'utf-8'), symlinkTarget: target, mode: null, mtimeMs: stats.mtimeMs };
+    }
+    return { buffer: fs.readFileSync(filePath), symlinkTarget: null, mode: stats.mode & 0o7777, mtimeMs: stats.mtimeMs };
+};
+
+// Whether a working path differs from a stored entry in kind, symlink target or permission bits.
+// Modes missing from entries recorded before they were captured are not compared.
+export const metadataChanged = (filePath, { mode, symlink_target: symlinkTarget }) => {
+    const stats = fs.lstatSync(filePath);
+    const target = stats.isSymbolicLink() ? fs.readlinkSync(filePath) : null;
+    if ((symlinkTarget ?? null) !== target) return true;
+    return target === null && mode != null && (stats.mode & 0o7777) !== mode;
+};
+
+// Write a stored entry back to disk. Symlinks are recreated rather than written through,
+// and permission bits and mtime are restored whenever they were recorded.
+export const writeFileEntry = (filePath, { content, mode, mtime_ms: mtimeMs, symlink_target: symlinkTarget }) => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    const existing = lstatEntry(filePath);
+    if (existing && (existing.isSymbolicLink() || symlinkTarget != null)) fs.rmSync(filePath);
+
+    const mtime = mtimeMs != null ? new Date(mtimeMs) : null;
+    if (symlinkTarget != null) {
+        fs.symlinkSync(symlinkTarget, filePath);
+        if (mtime) fs.lutimesSync(filePath, new Date(), mtime);
+        return;
+    }
+
+    if (Buffer.isBuffer(content)) fs.writeFileSync(filePath, content);
+    else fs.writeFileSync(filePath, content || '', 'utf-8');
+    if (mode != null) fs.chmodSync(filePath, mode);
+    if (mtime) fs.utimesSync(filePath, new Date(), mtime);
+};
@@ -0,0 +1,106 @@
+import { structuredPatch, parsePatch, applyPatch } from 'diff';
+import { sameContent } from './renames.js';
+
+// Lines of context around each change, as in `diff -u`
+export const DEFAULT_CONTEXT = 3;
+
+// Stand-in path for the missing side of an added or removed file
+const NULL_PATH = '/dev/null';
+
+// Hunk header with git's convention of pointing an empty range at the line before it
+export const formatHunkHeader = (hunk) => {
+    const range = (start, count) => `${count === 0 ? start - 1 : start},${count}`;
+    return `@@ -${range(hunk.oldStart, hunk.oldLines)} +${range(hunk.newStart, hunk.newLines)} @@`;
+};
+
+// Unified diff hunks between two texts, with `context` unchanged lines around each change
+export const computeHunks = (oldText, newText, context = DEFAULT_CONTEXT) =>
+    structuredPatch('', '', oldText, newText, '', '', { context }).hunks;
+
+// Format one path as a git-style unified diff section; `before`/`after` are snapshot-shaped
+// entries, undefined when the path is absent on that side. A rename from `oldPath` gets git's
+// similarity and rename lines. Identical files yield ''.
+export const formatFilePatch = (filePath, before, after, { context = DEFAULT_CONTEXT, oldPath, similarity } = {}) => {
+    const identical = before && after && sameContent(before, after);
+    if (identical && !oldPath) return '';
+
+    const sourcePath = oldPath || filePath;
+    const oldName = before ? `a/${sourcePath}` : NULL_PATH;
+    const newName = after ? `b/${filePath}` : NULL_PATH;
+    const lines = [`diff --git a/${sourcePath} b/${filePath}`];
+    if (oldPath) {
+        lines.push(`similarity index ${Math.round(similarity * 100)}%`, `rename from ${oldPath}`, `rename to ${filePath}`);
+    }
+
+    // A pure rename has no content section
+    if (identical) return `${lines.join('\n')}\n`;
+
+    if (before?.is_binary || after?.is_binary) {
+        lines.push(`Binary files ${oldName} and ${newName} differ`);
+    } else {
+        lines.push(`--- ${oldName}`, `+++ ${newName}`);
+        computeHunks(before?.content || '', after?.content || '', context).forEach((hunk) =>
+            lines.push(formatHunkHeader(hunk), ...hunk.lines)
+        );
+    }
+
+    return `${lines.join('\n')}\n`;
+};
+
+// Project-relative path named by a patch header, or null for /dev/null
+const stripPrefix = (name) => (!name || name === NULL_PATH ? null : name.replace(/^[ab]\//, ''));
+
+// Parse a (possibly multi-file) unified diff into { oldPath, newPath, hunks, binary } entries.
+// Sections are split at `diff --git` lines first so binary notices and pure renames, which have
+// no `---`/`+++` lines, are kept instead of rejected.
+export const parsePatchFiles = (text) =>
+    text
+        .split(/^(?=diff --git )/m)
+        .filter((section) => section.trim())
+        .flatMap((section) => {
+            const binary = section.match(/^Binary files (\S+) and (\S+) differ$/m);
+            if (binary) {
+                return [{ oldPath: stripPrefix(binary[1]), newPath: stripPrefix(binary[2]), hunks: [], binary: true }];
+            }
+            const renameFrom = section.match(/^rename from (.+)$/m);
+            const renameTo = section.match(/^rename to (.+)$/m);
+            if (renameFrom && renameTo && !/^--- /m.test(section)) {
+                return [{ oldPath: renameFrom[1], newPath: renameTo[1], hunks: [], binary: false }];
+            }
+            return parsePatch(section)
+                .filter((patch) => patch.oldFileName || patch.newFileName)
+                .map((patch) => ({
+                    oldPath: stripPrefix(patch.oldFileName),
+                    newPath: stripPrefix(patch.newFileName),
+                    hunks: patch.hunks,
+                    binary: false,
+                }));
+        });
+
+// Content of a file created by a patch: its added lines
+export const createdContent = (hunks) => {
+    const lines = hunks.flatMap((hunk) => hunk.lines);
+    const added = lines.filter((line) => line.startsWith('+')).map((line) => line.slice(1));
+    if (added.length === 0) return '';
+    return added.join('\n') + (lines[lines.length - 1].startsWith('\\') ? '' : '\n');
+};
+
+// Apply hunks one at a time so a failing hunk does not stop the others.
+// Later hunks are shifted by the line count the applied ones added or removed.
+export const applyHunks = (content, hunks) => {
+    let result = content;
+    let shift = 0;
+    const failed = [];
+
+    hunks.forEach((hunk) => {
+        const next = applyPatch(result, { hunks: [{ ...hunk, oldStart: hunk.oldStart + shift, newStart: hunk.newStart + shift }] });
+        if (next === false) {
+            failed.push(hunk);
+        } else {
+            result = next;
+            shift += hunk.newLines - hunk.oldLines;
+        }
+    });
+
+    return { content: result, failed };
+};
@@ -0,0 +1,74 @@
+import path from 'path';
+import { diffArrays } from 'diff';
+import { splitLines } from './merge.js';
+
+// Share of lines a removed and an added file must have in common to count as a rename, like git's -M50%
+export const DEFAULT_RENAME_THRESHOLD = 0.5;
+
+// Whether two snapshot-shaped entries hold the same content. Rows stored before the blob store have
+// no hash, so their content is compared instead, byte by byte when either side is binary.
+export const sameContent = (a, b) => {
+    if (a.blob_hash && b.blob_hash) return a.blob_hash === b.blob_hash;
+    if (Buffer.isBuffer(a.content) || Buffer.isBuffer(b.content)) {
+        return Buffer.from(a.content || '').equals(Buffer.from(b.content || ''));
+    }
+    return (a.content || '') === (b.content || '');
+};
+
+// Share of lines two texts have in common, from 0 (nothing) to 1 (identical)
+export const similarity = (a, b) => {
+    const linesA = splitLines(a);
+    const linesB = splitLines(b);
+    const total = linesA.length + linesB.length;
+    if (total === 0) return 1;
+
+    const common = diffArrays(linesA, linesB)
+        .filter((part) => !part.added && !part.removed)
+        .reduce((sum, part) => sum + part.count, 0);
+    return (2 * common) / total;
+};
+
+// Pair removed entries with added ones holding the same or similar content. Exact matches win
+// (preferring an unchanged file name), then the most similar text pairs scoring at least
+// `threshold`. Binary files only match exactly, and empty files never do since they all look alike.
+// Returns [{ from, to, similarity }].
+export const detectRenames = (removed, added, threshold = DEFAULT_RENAME_THRESHOLD) => {
+    const hasContent = (file) => file.content && file.content.length > 0;
+    const freeRemoved = new Set(removed.filter(hasContent));
+    const freeAdded = new Set(added.filter(hasContent));
+    const renames = [];
+
+    const pair = (from, to, score) => {
+        renames.push({ from, to, similarity: score });
+        freeRemoved.delete(from);
+        freeAdded.delete(to);
+    };
+
+    [...freeAdded].forEach((to) => {
+        const matches = [...freeRemoved].filter((from) => sameContent(from, to));
+        if (matches.length === 0) return;
+        pair(matches.find((from) => path.basename(from.path) === path.basename(to.path)) || matches[0], to, 1);
+    });
+
+    const lineCount = (file) => splitLines(file.content).length;
+    const candidates = [];
+    freeRemoved.forEach((from) => {
+        freeAdded.forEach((to) => {
+            if (from.is_binary || to.is_binary) return;
+            // Files whose sizes differ too much cannot reach the threshold
+            const [a, b] = [lineCount(from), lineCount(to)];
+            if ((2 * Math.min(a, b)) / (a + b) < threshold) return;
+
+            const score = similarity(from.content, to.content);
+            if (score >= threshold) candidates.push({ from, to, similarity: score });
+        });
+    });
+
+    candidates
+        .sort((x, y) => y.similarity - x.similarity)
+        .forEach((candidate) => {
+            if (freeRemoved.has(candidate.from) && freeAdded.has(candidate.to)) pair(candidate.from, candidate.to, candidate.similarity);
+        });
+
+    return renames;
+};
@@ -0,0 +1,104 @@
+import fs from 'fs';
+import path from 'path';
+import { openDatabase } from '../database/init.js';
+import { get } from '../database/query.js';
+
+// Metadata directory marking a project root, found by walking up like `.git`
+export const METADATA_DIR = '.svc';
+const DATABASE_FILE = 'svc.db';
+const CONFIG_FILE = 'config.json';
+
+// Raised when no project can be found from the current directory upwards
+export class RepositoryNotFoundError extends Error {
+    constructor() {
+        super('Project not initialized. Run "svc init" first.');
+    }
+}
+
+// Raised when `.svc/config.json` exists but cannot be parsed
+export class RepositoryConfigError extends Error {
+    constructor(configPath, cause) {
+        super(`Repository config ${configPath} is corrupt (${cause.message}). Run "svc init" to repair it.`);
+    }
+}
+
+// Walk up from `startDir` to the nearest directory containing `.svc/`, or null when there is none
+export const findRepositoryRoot = (startDir = process.cwd()) => {
+    let dir = path.resolve(startDir);
+    for (;;) {
+        if (fs.existsSync(path.join(dir, METADATA_DIR, DATABASE_FILE))) return dir;
+        const parent = path.dirname(dir);
+        if (parent === dir) return null;
+        dir = parent;
+    }
+};
+
+// Project root: the discovered repository, or the cwd when none exists yet
+export const getRepositoryRoot = () => findRepositoryRoot() || process.cwd();
+
+// Paths inside the metadata directory
+export const getMetadataDir = (root = getRepositoryRoot()) => path.join(root, METADATA_DIR);
+export const getDatabasePath = (root = getRepositoryRoot()) => path.join(getMetadataDir(root), DATABASE_FILE);
+const getConfigPath = (root) => path.join(getMetadataDir(root), CONFIG_FILE);
+
+// Read `.svc/config.json`, which holds the project's stable identity ({ id, name })
+export const readRepositoryConfig = (root = getRepositoryRoot()) => {
+    const configPath = getConfigPath(root);
+    if (!fs.existsSync(configPath)) return {};
+    try {
+        return JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    } catch (err) {
+        throw new RepositoryConfigError(configPath, err);
+    }
+};
+
+// Write `.svc/config.json`
+export const writeRepositoryConfig = (root, config) => {
+    fs.mkdirSync(getMetadataDir(root), { recursive: true });
+    fs.writeFileSync(getConfigPath(root), `${JSON.stringify(config, null, 2)}\n`);
+};
+
+// Display name of the project, independent of the folder it currently lives in
+export const getProjectName = (root = getRepositoryRoot()) => readRepositoryConfig(root).name || path.basename(root);
+
+// Normalize a user-supplied path to the project-relative form stored in `files`
+export const normalizeProjectPath = (filePath) =>
+    path.normalize(filePath).replace(/^(\.[\\/])+/, '').replace(/[\\/]+$/, '');
+
+// Look up the project row by its stable id
+export const findProject = (db, root = getRepositoryRoot()) => {
+    const { id } = readRepositoryConfig(root);
+    if (!id) return Promise.resolve(undefined);
+    return get(db, `SELECT id, name, uuid FROM projects WHERE uuid = ?`, [id]);
+};
+
+// Discover the repository, open its database and load the project row.
+// Resolves with { root, db, project }; the caller closes `db`.
+export const openRepository = async () => {
+    const root = findRepositoryRoot();
+    if (!root) throw new RepositoryNotFoundError();
+
+    const db = await openDatabase(getDatabasePath(root));
+    const project = await findProject(db, root).catch((err) => {
+        db.close();
+        throw err;
+    });
+    if (!project) {
+        db.close();
+        throw new Error(`No project is registered in ${path.join(root, METADATA_DIR)}. Run "svc init" to repair it.`);
+    }
+
+    return { root, db, project };
+};
+
+// Retrieve the current project ID (null when there is no project)
+export const getProjectId = async () => {
+    try {
+        const { db, project } = await openRepository();
+        db.close();
+        return project.id;
+    } catch (err) {
+        if (err instanceof RepositoryNotFoundError) return null;
+        throw err;
+    }
+};
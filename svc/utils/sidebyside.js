@@ -0,0 +1,203 @@
+import chalk from 'chalk';
+import { diffArrays, diffChars, diffWordsWithSpace } from 'diff';
+import { splitLines } from './merge.js';
+import { DEFAULT_CONTEXT } from './patch.js';
+
+// Narrowest text column before lines wrap anyway
+const MIN_COLUMN = 20;
+const TAB = '    ';
+const SEPARATOR = ' │ ';
+
+// Colors of each side of a row: plain text, highlighted intra-line changes and the gutter marker
+const STYLES = {
+    same: { text: chalk.gray, highlight: chalk.gray, marker: ' ' },
+    removed: { text: chalk.red, highlight: chalk.black.bgRed, marker: '-' },
+    added: { text: chalk.green, highlight: chalk.black.bgGreen, marker: '+' },
+};
+
+// Width available for the diff: the terminal's, or a sensible default when output is piped
+export const terminalWidth = () => process.stdout.columns || Number(process.env.COLUMNS) || 120;
+
+// Line text without its terminator
+const stripTerminator = (line) => line.replace(/\r?\n$/, '');
+
+// Lines that differ only in whitespace compare equal when whitespace is ignored
+const squashWhitespace = (line) => line.replace(/\s+/g, '');
+
+// Split a pair of changed lines into segments, marking the words that differ. Words that were
+// only partly edited are refined to characters so a one-letter fix does not light up the whole word.
+const highlightPair = (oldText, newText) => {
+    const left = [];
+    const right = [];
+    const parts = diffWordsWithSpace(oldText, newText);
+
+    for (let i = 0; i < parts.length; i += 1) {
+        const part = parts[i];
+        const next = parts[i + 1];
+        if (part.removed && next?.added) {
+            const chars = diffChars(part.value, next.value);
+            const common = chars.filter((c) => !c.added && !c.removed).reduce((sum, c) => sum + c.value.length, 0);
+            if (common * 2 >= Math.max(part.value.length, next.value.length)) {
+                chars.forEach((c) => {
+                    if (!c.added) left.push({ text: c.value, changed: Boolean(c.removed) });
+                    if (!c.removed) right.push({ text: c.value, changed: Boolean(c.added) });
+                });
+                i += 1;
+                continue;
+            }
+        }
+        if (!part.added) left.push({ text: part.value, changed: Boolean(part.removed) });
+        if (!part.removed) right.push({ text: part.value, changed: Boolean(part.added) });
+    }
+
+    // A line rewritten from scratch reads better without highlights
+    const unhighlight = (segments) =>
+        segments.some((segment) => !segment.changed) ? segments : segments.map((segment) => ({ ...segment, changed: false }));
+    return { left: unhighlight(left), right: unhighlight(right) };
+};
+
+// Pair the lines of both versions into rows: 'same', 'change' (a removed line facing its replacement),
+// 'removed' or 'added', each with its old and new line numbers
+const buildRows = (oldLines, newLines, ignoreWhitespace) => {
+    const comparator = ignoreWhitespace ? (a, b) => squashWhitespace(a) === squashWhitespace(b) : undefined;
+    const parts = diffArrays(oldLines, newLines, { comparator });
+    const rows = [];
+    let oldNo = 1;
+    let newNo = 1;
+
+    const plain = (text) => [{ text, changed: false }];
+    const pushRemoved = () => {
+        rows.push({ type: 'removed', oldNo, left: plain(oldLines[oldNo - 1]) });
+        oldNo += 1;
+    };
+    const pushAdded = () => {
+        rows.push({ type: 'added', newNo, right: plain(newLines[newNo - 1]) });
+        newNo += 1;
+    };
+
+    for (let i = 0; i < parts.length; i += 1) {
+        const part = parts[i];
+        if (!part.added && !part.removed) {
+            for (let k = 0; k < part.count; k += 1) {
+                rows.push({ type: 'same', oldNo, newNo, left: plain(oldLines[oldNo - 1]), right: plain(newLines[newNo - 1]) });
+                oldNo += 1;
+                newNo += 1;
+            }
+        } else if (part.removed && parts[i + 1]?.added) {
+            const added = parts[i + 1];
+            const paired = Math.min(part.count, added.count);
+            for (let k = 0; k < paired; k += 1) {
+                rows.push({ type: 'change', oldNo, newNo, ...highlightPair(oldLines[oldNo - 1], newLines[newNo - 1]) });
+                oldNo += 1;
+                newNo += 1;
+            }
+            for (let k = paired; k < part.count; k += 1) pushRemoved();
+            for (let k = paired; k < added.count; k += 1) pushAdded();
+            i += 1;
+        } else if (part.removed) {
+            for (let k = 0; k < part.count; k += 1) pushRemoved();
+        } else {
+            for (let k = 0; k < part.count; k += 1) pushAdded();
+        }
+    }
+
+    return rows;
+};
+
+// Replace unchanged runs further than `context` lines from any change with a single 'skip' row.
+// A run of one line is shown as is, since its marker would take the same space.
+const collapseRows = (rows, context) => {
+    if (context === Infinity) return rows;
+
+    const visible = rows.map((row) => row.type !== 'same');
+    rows.forEach((row, index) => {
+        if (row.type === 'same') return;
+        for (let k = Math.max(0, index - context); k <= Math.min(rows.length - 1, index + context); k += 1) visible[k] = true;
+    });
+
+    const collapsed = [];
+    rows.forEach((row, index) => {
+        if (visible[index]) {
+            collapsed.push(row);
+        } else if (collapsed[collapsed.length - 1]?.type === 'skip') {
+            collapsed[collapsed.length - 1].rows.push(row);
+        } else {
+            collapsed.push({ type: 'skip', rows: [row] });
+        }
+    });
+    return collapsed.flatMap((row) => (row.type === 'skip' && row.rows.length === 1 ? row.rows : [row]));
+};
+
+// Break segments into display lines of at most `width` characters. Tabs are expanded here,
+// after diffing, so a tab replaced by spaces still shows up as a change.
+const wrapSegments = (segments, width) => {
+    const lines = [[]];
+    let used = 0;
+    segments.forEach(({ text, changed }) => {
+        let rest = text.replace(/\t/g, TAB);
+        while (rest.length > 0) {
+            if (used === width) {
+                lines.push([]);
+                used = 0;
+            }
+            const chunk = rest.slice(0, width - used);
+            lines[lines.length - 1].push({ text: chunk, changed });
+            used += chunk.length;
+            rest = rest.slice(chunk.length);
+        }
+    });
+    return lines;
+};
+
+// Render one side of a display line: line number, marker and padded text
+const renderSide = (lineNo, segments, style, gutter, column) => {
+    if (!segments) return ' '.repeat(gutter + 3 + column);
+
+    const number = lineNo === null ? ' '.repeat(gutter) : chalk.dim(String(lineNo).padStart(gutter));
+    const marker = lineNo === null ? ' ' : style.marker;
+    const text = segments.map(({ text: chunk, changed }) => (changed ? style.highlight(chunk) : style.text(chunk))).join('');
+    const length = segments.reduce((sum, { text: chunk }) => sum + chunk.length, 0);
+    return `${number} ${style.text(marker)} ${text}${' '.repeat(column - length)}`;
+};
+
+// Side-by-side rows of two texts: 'same', 'change', 'removed' and 'added' rows carry their line numbers
+// (`oldNo`/`newNo`) and text segments (`left`/`right`, with `changed` marking intra-line edits).
+// Unchanged runs beyond `context` lines of a change become 'skip' rows (Infinity keeps whole files).
+// Returns no rows when the texts match.
+export const diffRows = (oldText, newText, { context = DEFAULT_CONTEXT, ignoreWhitespace = false } = {}) => {
+    const rows = buildRows(splitLines(oldText).map(stripTerminator), splitLines(newText).map(stripTerminator), ignoreWhitespace);
+    return rows.every((row) => row.type === 'same') ? [] : collapseRows(rows, context);
+};
+
+// Render a side-by-side diff of two texts sized to `width`, with old and new line numbers and
+// intra-line highlights. `context` and `ignoreWhitespace` work as for `diffRows`.
+// Returns no lines when the texts match.
+export const renderSideBySide = (oldText, newText, options = {}) => {
+    const { width = terminalWidth() } = options;
+    const rows = diffRows(oldText, newText, options);
+    if (rows.length === 0) return [];
+
+    const gutter = String(Math.max(splitLines(oldText).length, splitLines(newText).length)).length;
+    const column = Math.max(MIN_COLUMN, Math.floor((width - SEPARATOR.length) / 2) - gutter - 3);
+    const lines = [];
+
+    rows.forEach((row) => {
+        if (row.type === 'skip') {
+            lines.push(chalk.cyan(`${' '.repeat(gutter)} ⋯ ${row.rows.length} unchanged line(s)`));
+            return;
+        }
+
+        const leftStyle = row.type === 'same' ? STYLES.same : STYLES.removed;
+        const rightStyle = row.type === 'same' ? STYLES.same : STYLES.added;
+        const left = row.left ? wrapSegments(row.left, column) : [];
+        const right = row.right ? wrapSegments(row.right, column) : [];
+
+        for (let k = 0; k < Math.max(left.length, right.length); k += 1) {
+            const oldSide = renderSide(k === 0 ? row.oldNo : null, left[k], leftStyle, gutter, column);
+            const newSide = renderSide(k === 0 ? row.newNo : null, right[k], rightStyle, gutter, column);
+            lines.push(`${oldSide}${chalk.dim(SEPARATOR)}${newSide}`.trimEnd());
+        }
+    });
+
+    return lines;
+};
@@ -0,0 +1,102 @@
+import path from 'path';
+import { isDeepStrictEqual } from 'util';
+import { diffArrays } from 'diff';
+import YAML from 'yaml';
+
+// Parsers of the file types compared by key path rather than by line
+const PARSERS = {
+    '.json': (text) => JSON.parse(text),
+    '.yaml': (text) => YAML.parse(text),
+    '.yml': (text) => YAML.parse(text),
+};
+
+// Longest value shown in a change before it is cut short
+const MAX_VALUE_LENGTH = 60;
+
+// Whether a path names a JSON or YAML file
+export const isStructuredPath = (filePath) => Object.hasOwn(PARSERS, path.extname(filePath).toLowerCase());
+
+// Key path in JSONPath-like notation: `$.services.api.port`, `$.list[2]`, `$["odd key"]`
+export const formatKeyPath = (segments) =>
+    segments.reduce((acc, key) => {
+        if (typeof key === 'number') return `${acc}[${key}]`;
+        return /^[A-Za-z_$][\w$-]*$/.test(key) ? `${acc}.${key}` : `${acc}[${JSON.stringify(key)}]`;
+    }, '$');
+
+// Compact single-line rendering of a value, cut short when long
+export const formatValue = (value) => {
+    const text = value === undefined ? 'undefined' : JSON.stringify(value);
+    return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH - 1)}…` : text;
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Compare two parsed values and list what differs as [{ path, type, before, after }] with `type`
+// 'added', 'removed' or 'changed'. Object keys are matched by name, so reordering is no change.
+// Array items are aligned like lines of a diff: inserted and dropped items are reported alone,
+// and items replaced in place are compared in depth.
+export const diffValues = (before, after, segments = []) => {
+    if (isDeepStrictEqual(before, after)) return [];
+
+    if (isObject(before) && isObject(after)) {
+        const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+        return keys.flatMap((key) => {
+            const keyPath = [...segments, key];
+            if (!Object.hasOwn(after, key)) return [{ path: keyPath, type: 'removed', before: before[key] }];
+            if (!Object.hasOwn(before, key)) return [{ path: keyPath, type: 'added', after: after[key] }];
+            return diffValues(before[key], after[key], keyPath);
+        });
+    }
+
+    if (Array.isArray(before) && Array.isArray(after)) {
+        const changes = [];
+        let oldIndex = 0;
+        let newIndex = 0;
+        const parts = diffArrays(before, after, { comparator: isDeepStrictEqual });
+        for (let i = 0; i < parts.length; i += 1) {
+            const part = parts[i];
+            if (!part.added && !part.removed) {
+                oldIndex += part.count;
+                newIndex += part.count;
+                continue;
+            }
+
+            let removed = [];
+            let added = [];
+            if (part.removed) {
+                removed = part.value;
+                if (parts[i + 1]?.added) {
+                    i += 1;
+                    added = parts[i].value;
+                }
+            } else {
+                added = part.value;
+            }
+
+            const paired = Math.min(removed.length, added.length);
+            for (let k = 0; k < paired; k += 1) changes.push(...diffValues(removed[k], added[k], [...segments, newIndex + k]));
+            removed.slice(paired).forEach((value, k) => {
+                changes.push({ path: [...segments, oldIndex + paired + k], type: 'removed', before: value });
+            });
+            added.slice(paired).forEach((value, k) => {
+                changes.push({ path: [...segments, newIndex + paired + k], type: 'added', after: value });
+            });
+            oldIndex += removed.length;
+            newIndex += added.length;
+        }
+        return changes;
+    }
+
+    return [{ path: segments, type: 'changed', before, after }];
+};
+
+// Compare two versions of a JSON or YAML file by key path. Returns the changes, an empty list when
+// they differ only in formatting or key order, or null when either side does not parse.
+export const diffStructured = (filePath, oldText, newText) => {
+    const parse = PARSERS[path.extname(filePath).toLowerCase()];
+    try {
+        return diffValues(parse(oldText), parse(newText));
+    } catch {
+        return null;
+    }
+};
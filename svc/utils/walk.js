@@ -0,0 +1,33 @@
+import fs from 'fs';
+import path from 'path';
+import { isIgnored } from './ignore.js';
+import { METADATA_DIR } from './repository.js';
+
+// Walk the project directory and collect relative paths of tracked candidates and ignored entries.
+// The `.svc` metadata directory is never part of the working tree.
+export const walkProject = (projectDir, ignorePatterns) => {
+    const files = [];
+    const ignored = [];
+
+    const traverseDirectory = (dir) => {
+        const entries = fs.readdirSync(dir, { withFileTypes: true });
+        entries.forEach((entry) => {
+            const entryPath = path.relative(projectDir, path.join(dir, entry.name));
+            if (entryPath === METADATA_DIR) return;
+            if (isIgnored(entryPath, ignorePatterns)) {
+                ignored.push(entryPath);
+                return;
+            }
+
+            // Symlinks are recorded as links and never followed
+            if (entry.isFile() || entry.isSymbolicLink()) {
+                files.push(entryPath);
+            } else if (entry.isDirectory()) {
+                traverseDirectory(path.join(dir, entry.name));
+            }
+        });
+    };
+
+    traverseDirectory(projectDir);
+    return { files, ignored };
+};